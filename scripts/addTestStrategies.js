@@ -1,5 +1,5 @@
 import { storageService } from '../src/services/storageService.js';
-import { calculateStrategyMetrics } from '../src/utils/strategyCalculations.js';
+import { calculateStrategyMetrics, calculateTradeResult } from '../src/utils/strategyCalculations.js';
 
 const testStrategiesData = [
   // Long Call (Profit)
@@ -10,8 +10,8 @@ const testStrategiesData = [
     legs: [{ id: 1, action: 'Buy', type: 'Call', strike: '28000', premium: '500', contracts: 1 }],
     margin_required: 500,
     asset_price: 29000, // Asset price at entry
-    trade_outcome: 'profit',
-    // pnl and roi will be calculated
+    close_asset_price: 29500, // Asset price at close
+    // pnl, roi and trade_outcome will be calculated
   },
   // Long Put (Loss)
   {
@@ -21,8 +21,8 @@ const testStrategiesData = [
     legs: [{ id: 1, action: 'Buy', type: 'Put', strike: '1800', premium: '100', contracts: 1 }],
     margin_required: 100,
     asset_price: 1900, // Asset price at entry
-    trade_outcome: 'loss',
-    // pnl and roi will be calculated
+    close_asset_price: 1900, // Asset price at close
+    // pnl, roi and trade_outcome will be calculated
   },
   // Call Credit Spread (Profit)
   {
@@ -35,8 +35,8 @@ const testStrategiesData = [
     ],
     margin_required: 300, // (Strike difference - Net Premium) * contracts = (30-25 - 1.5) * 1 = 3.5 * 100 = 350? (simplified)
     asset_price: 26, // Asset price at entry
-    trade_outcome: 'profit',
-    // pnl and roi will be calculated
+    close_asset_price: 24, // Asset price at close
+    // pnl, roi and trade_outcome will be calculated
   },
    // Put Debit Spread (Loss)
   {
@@ -49,8 +49,8 @@ const testStrategiesData = [
     ],
     margin_required: 400, // Net Premium * contracts = 400 * 1 = 400
     asset_price: 29500, // Asset price at entry
-    trade_outcome: 'loss',
-    // pnl and roi will be calculated
+    close_asset_price: 30500, // Asset price at close
+    // pnl, roi and trade_outcome will be calculated
   },
   // Straddle (Profit)
   {
@@ -63,8 +63,8 @@ const testStrategiesData = [
     ],
     margin_required: 300, // Net Premium * contracts = 300 * 1 = 300
     asset_price: 2000, // Asset price at entry
-    trade_outcome: 'profit',
-    // pnl and roi will be calculated
+    close_asset_price: 2300, // Asset price at close
+    // pnl, roi and trade_outcome will be calculated
   },
   // Iron Condor (Loss)
    {
@@ -79,14 +79,14 @@ const testStrategiesData = [
     ],
     margin_required: 500, // Wider spread * contracts = (20-15) * 100 = 500 (simplified)
     asset_price: 28, // Asset price at entry
-    trade_outcome: 'loss',
-    // pnl and roi will be calculated
+    close_asset_price: 12, // Asset price at close
+    // pnl, roi and trade_outcome will be calculated
   },
 ];
 
 async function addTestStrategies() {
   console.log('Adding test strategies...');
-  for (const strategyData of testStrategiesData) {
+  for (const { close_asset_price, ...strategyData } of testStrategiesData) {
     try {
       // Calculate metrics based on the legs and entry asset price
       const metrics = calculateStrategyMetrics(
@@ -95,26 +95,21 @@ async function addTestStrategies() {
         strategyData.margin_required
       );
 
-      // Determine P&L and ROI based on the trade outcome for the test case
-      let pnl = null;
-      let roi = null;
-      if (strategyData.trade_outcome === 'profit') {
-         // For simplicity in testing, assume a profit value if outcome is profit
-         // In a real scenario, this would be the actual profit at close
-         pnl = metrics.maxProfit !== 'Unlimited' && metrics.maxProfit > 0 ? metrics.maxProfit * 0.8 : 100; // Example profit
-         roi = (pnl / strategyData.margin_required) * 100;
-      } else if (strategyData.trade_outcome === 'loss') {
-         // For simplicity in testing, assume a loss value if outcome is loss
-         // In a real scenario, this would be the actual loss at close
-         pnl = metrics.maxLoss !== 'Unlimited' && metrics.maxLoss < 0 ? metrics.maxLoss * 0.8 : -50; // Example loss
-         roi = (pnl / strategyData.margin_required) * 100;
-      }
+      // The legs have no exit premiums, so they settle at expiry at the closing asset price
+      const { pnl, roi, tradeOutcome } = calculateTradeResult(
+        strategyData.legs,
+        close_asset_price,
+        'USD',
+        strategyData.margin_required
+      );
 
       const strategyToSave = {
         ...strategyData,
         max_profit: metrics.maxProfit === 'Unlimited' ? null : metrics.maxProfit,
         max_loss: metrics.maxLoss === 'Unlimited' ? null : metrics.maxLoss,
         net_premium: metrics.netPremium,
+        settlement_price: close_asset_price,
+        trade_outcome: tradeOutcome,
         pnl: pnl,
         roi: roi,
         created_at: new Date().toISOString(),
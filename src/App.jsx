@@ -6,9 +6,15 @@ import Dashboard from './components/Dashboard';
 import Settings from './components/Settings';
 import CapitalSetupPanel from './components/CapitalSetupPanel';
 import CapitalWallet from './components/CapitalWallet';
+import StressTests from './components/StressTests';
 import { storageService } from './services/storageService';
 import { supabase } from './services/supabase';
 import LoginModal from './components/LoginModal';
+import { createRollDraft } from './utils/rollChains';
+import { addSpotLotsToCapital } from './utils/exercise';
+
+// Underlyings strategies are opened on
+const UNDERLYING_ASSETS = ['BTC', 'ETH', 'SOL'];
 
 function App() {
   const [stats, setStats] = useState({
@@ -21,10 +27,12 @@ function App() {
   });
   const [user, setUser] = useState(null);
   const [loginModalOpen, setLoginModalOpen] = useState(false);
-  // Capital state: array of { asset, amount, purchasePrice }
+  // Capital state: array of { asset, amount, purchasePrice }, plus the strategy link of lots from exercised options
   const [capital, setCapital] = useState([]);
   const [prices, setPrices] = useState({});
   const [showNative, setShowNative] = useState(false);
+  // Values carried from a rolled strategy into the strategy form
+  const [rollDraft, setRollDraft] = useState(null);
 
   useEffect(() => {
     const loadStats = async () => {
@@ -52,11 +60,12 @@ function App() {
     };
   }, []);
 
-  // Fetch live prices for all assets in capital, every minute
+  // Fetch live prices for all assets in capital and every underlying, every minute
   useEffect(() => {
     let intervalId;
     async function fetchPrices() {
-      if (!capital.length) return setPrices({});
+      // Underlyings are priced even when not held, so open strategies can be marked to market
+      const assets = [...new Set([...capital.map(a => a.asset), ...UNDERLYING_ASSETS])];
       const assetMap = {
         ETH: 'ethereum',
         BTC: 'bitcoin',
@@ -73,14 +82,14 @@ function App() {
         BNB: 'binancecoin',
         // Add more as needed
       };
-      const idsList = capital.map(a => assetMap[a.asset] || a.asset.toLowerCase()).join(',');
+      const idsList = assets.map(asset => assetMap[asset] || asset.toLowerCase()).join(',');
       try {
         const res = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${idsList}&vs_currencies=usd`);
         const data = await res.json();
         const newPrices = {};
-        capital.forEach(a => {
-          const id = assetMap[a.asset] || a.asset.toLowerCase();
-          newPrices[a.asset] = data[id]?.usd || 0;
+        assets.forEach(asset => {
+          const id = assetMap[asset] || asset.toLowerCase();
+          newPrices[asset] = data[id]?.usd || 0;
         });
         setPrices(newPrices);
       } catch (e) {
@@ -146,6 +155,7 @@ function App() {
               <nav className="hidden md:flex space-x-4">
                 <Link to="/dashboard" className="text-gray-300 hover:text-emerald-400 px-3 py-2 rounded-md text-sm font-medium">Dashboard</Link>
                 <Link to="/" className="text-gray-300 hover:text-emerald-400 px-3 py-2 rounded-md text-sm font-medium">Tracker</Link>
+                <Link to="/stress-tests" className="text-gray-300 hover:text-emerald-400 px-3 py-2 rounded-md text-sm font-medium">Stress Tests</Link>
                 <a href="#" className="text-gray-300 hover:text-emerald-400 px-3 py-2 rounded-md text-sm font-medium">Learn</a>
                 <a href="#" className="text-gray-300 hover:text-emerald-400 px-3 py-2 rounded-md text-sm font-medium">Contact Us</a>
               </nav>
@@ -202,10 +212,13 @@ function App() {
                 CapitalWallet={<CapitalWallet capital={capital} prices={prices} showNative={showNative} />}
               />
             } />
+            <Route path="/stress-tests" element={<StressTests capital={capital} prices={prices} />} />
             <Route path="/" element={
               <div className="max-w-7xl mx-auto space-y-8">
                 <StrategyForm
                   capital={capital.map(a => a.asset)}
+                  rollDraft={rollDraft}
+                  onRollDraftApplied={() => setRollDraft(null)}
                   onStrategySaved={strategy => {
                     if (!strategy || typeof strategy.pnl !== 'number' || !strategy.settlement_asset) return;
                     setCapital(prev => {
@@ -226,7 +239,15 @@ function App() {
                   }}
                 />
                 <div className="mt-8">
-                  <SavedStrategies prices={prices} showNative={showNative} />
+                  <SavedStrategies
+                    prices={prices}
+                    showNative={showNative}
+                    onRoll={strategy => {
+                      setRollDraft(createRollDraft(strategy));
+                      window.scrollTo({ top: 0, behavior: 'smooth' });
+                    }}
+                    onExercise={lots => setCapital(prev => addSpotLotsToCapital(prev, lots))}
+                  />
                 </div>
               </div>
             } />
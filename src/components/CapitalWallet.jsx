@@ -17,12 +17,13 @@ export default function CapitalWallet({ capital, prices, showNative }) {
             <th className="table-header">Amount</th>
             <th className="table-header">Current Price (USD)</th>
             <th className="table-header">Value</th>
+            <th className="table-header">Source</th>
           </tr>
         </thead>
         <tbody>
           {capital.length === 0 && (
             <tr>
-              <td colSpan={4} className="table-cell text-center text-[#8B949E]">No assets in wallet.</td>
+              <td colSpan={5} className="table-cell text-center text-[#8B949E]">No assets in wallet.</td>
             </tr>
           )}
           {capital.map((row, idx) => (
@@ -35,6 +36,11 @@ export default function CapitalWallet({ capital, prices, showNative }) {
                   ? `${row.amount} ${row.asset}`
                   : (row.amount * (prices?.[row.asset] || 0)).toLocaleString('en-US', { style: 'currency', currency: 'USD' })}
               </td>
+              <td className="table-cell text-[#8B949E]" title={row.strategyId ? `Strategy ${row.strategyId}` : undefined}>
+                {row.strategyId
+                  ? `${row.source.charAt(0).toUpperCase() + row.source.slice(1)} from ${row.strategyType || 'strategy'} at ${row.purchasePrice}${row.date ? ` on ${row.date}` : ''}`
+                  : '-'}
+              </td>
             </tr>
           ))}
         </tbody>
@@ -13,6 +13,12 @@ import {
 import Input from './Input';
 // import { storageService } from '../services/storageService';
 import { supabase, db } from '../services/supabase';
+import { buildRollChains } from '../utils/rollChains';
+import { buildWheelCampaigns } from '../utils/wheelCampaigns';
+import { getOpenUnderlyings } from '../utils/portfolioRisk';
+import { summarizeUnrealizedPnl } from '../utils/markToMarket';
+import { settlementAmountToUsd } from '../utils/strategyCalculations';
+import PortfolioRisk from './PortfolioRisk';
 
 ChartJS.register(
   CategoryScale,
@@ -24,7 +30,7 @@ ChartJS.register(
   Legend
 );
 
-const Dashboard = () => {
+const Dashboard = ({ prices }) => {
   const [initialCapital, setInitialCapital] = useState(0);
   const [showSettings, setShowSettings] = useState(false);
   const [showPopup, setShowPopup] = useState(false);
@@ -88,23 +94,31 @@ const Dashboard = () => {
   }
 
   // Helper: build portfolio value time series
-  function buildPortfolioSeries(strategies, initialCapital) {
+  // Open positions add a last point marked to model: the realized value plus their unrealized P&L
+  function buildPortfolioSeries(strategies, initialCapital, unrealizedPnl = 0) {
     // Only use closed trades (with close_date and pnl)
     const closed = strategies
       .filter(s => s.close_date && typeof s.pnl === 'number')
       .sort((a, b) => new Date(a.close_date) - new Date(b.close_date));
     let value = Number(initialCapital) || 0;
+    // Value before fees; rows saved before fees were tracked add their P&L to both
+    let grossValue = value;
     const points = [];
     // Add initial point
     if (closed.length === 0) {
-      points.push({ date: new Date(), value });
+      points.push({ date: new Date(), value, grossValue, markedValue: value });
     } else {
-      points.push({ date: new Date(closed[0].close_date), value });
+      points.push({ date: new Date(closed[0].close_date), value, grossValue, markedValue: value });
     }
     closed.forEach(s => {
-      value += s.pnl;
-      points.push({ date: new Date(s.close_date), value });
+      // P&L is saved in the settlement asset; the curve is in USD
+      value += settlementAmountToUsd(s, s.pnl);
+      grossValue += settlementAmountToUsd(s, s.gross_pnl ?? s.pnl);
+      points.push({ date: new Date(s.close_date), value, grossValue, markedValue: value });
     });
+    if (unrealizedPnl !== 0) {
+      points.push({ date: new Date(), value, grossValue, markedValue: value + unrealizedPnl });
+    }
     return points;
   }
 
@@ -145,7 +159,7 @@ const Dashboard = () => {
         label = `${d.toLocaleString('default', { month: 'short' })} ${d.getFullYear()}`;
       }
       if (!earnings[label]) earnings[label] = 0;
-      earnings[label] += s.pnl;
+      earnings[label] += settlementAmountToUsd(s, s.pnl);
     });
     // Sort labels chronologically
     let labels = Object.keys(earnings);
@@ -188,7 +202,8 @@ const Dashboard = () => {
   useEffect(() => {
     if (!strategies) return;
     const filtered = filterByRange(strategies, selectedRange);
-    const series = buildPortfolioSeries(filtered, initialCapital);
+    const { unrealizedPnl } = summarizeUnrealizedPnl(strategies, prices);
+    const series = buildPortfolioSeries(filtered, initialCapital, unrealizedPnl);
     const labels = series.map(p => p.date.toLocaleDateString());
     const data = series.map(p => p.value);
     setPortfolioData({
@@ -201,9 +216,25 @@ const Dashboard = () => {
           tension: 0.1,
           fill: false,
         },
+        {
+          label: 'Before Fees',
+          data: series.map(p => p.grossValue),
+          borderColor: 'rgba(139, 148, 158, 0.6)',
+          borderDash: [4, 4],
+          tension: 0.1,
+          fill: false,
+        },
+        ...(unrealizedPnl !== 0 ? [{
+          label: 'Marked to Market',
+          data: series.map(p => p.markedValue),
+          borderColor: 'rgba(210, 153, 34, 0.9)',
+          borderDash: [2, 3],
+          tension: 0.1,
+          fill: false,
+        }] : []),
       ],
     });
-  }, [strategies, initialCapital, selectedRange]);
+  }, [strategies, initialCapital, selectedRange, prices]);
 
   // Earnings bar chart data
   const earningsBar = buildEarningsData(strategies, earningsRange);
@@ -241,6 +272,11 @@ const Dashboard = () => {
     }
   };
 
+  // Rolled campaigns, judged as a whole
+  const rollChains = buildRollChains(strategies);
+  const wheelCampaigns = buildWheelCampaigns(strategies);
+  const hasOpenPositions = getOpenUnderlyings(strategies).length > 0;
+
   // Placeholder investments donut chart
   const investmentsData = {
     labels: ['6 months', '12 months', '24 months'],
@@ -332,9 +368,11 @@ const Dashboard = () => {
 
   // Calculate current portfolio value and percent change for the selected range
   const filtered = filterByRange(strategies, selectedRange);
-  const series = buildPortfolioSeries(filtered, initialCapital);
+  const unrealized = summarizeUnrealizedPnl(strategies, prices);
+  const series = buildPortfolioSeries(filtered, initialCapital, unrealized.unrealizedPnl);
   const currentValue = series.length ? series[series.length - 1].value : initialCapital;
   const startValue = series.length ? series[0].value : initialCapital;
+  const feesPaid = series.length ? series[series.length - 1].grossValue - currentValue : 0;
   const percentChange = startValue !== 0 ? ((currentValue - startValue) / startValue) * 100 : 0;
 
   // Dropdown options for filter
@@ -365,6 +403,25 @@ const Dashboard = () => {
               </span>
               <span className={`text-sm font-semibold ${percentChange >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{percentChange >= 0 ? '+' : ''}{percentChange.toFixed(2)}%</span>
             </div>
+            {feesPaid !== 0 && (
+              <span className="text-xs text-gray-400" title="Fees, slippage and funding on the closed trades shown">
+                Net of ${feesPaid.toLocaleString(undefined, { maximumFractionDigits: 2 })} fees
+              </span>
+            )}
+            {unrealized.markedPositions > 0 && (
+              <span
+                className="block text-xs text-gray-400"
+                title="The value above is realized; open strategies are marked to model at the current price and their stored or entered IV"
+              >
+                Unrealized{' '}
+                <span className={unrealized.unrealizedPnl >= 0 ? 'text-emerald-400' : 'text-red-400'}>
+                  {unrealized.unrealizedPnl < 0 ? '-' : ''}${Math.abs(unrealized.unrealizedPnl).toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                </span>
+                {' '}on {unrealized.markedPositions} open {unrealized.markedPositions === 1 ? 'strategy' : 'strategies'}
+                {' '}· marked value ${(currentValue + unrealized.unrealizedPnl).toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                {unrealized.unmarkedPositions > 0 && ` · ${unrealized.unmarkedPositions} without a price or expiry date`}
+              </span>
+            )}
           </div>
           <div className="flex items-center gap-2 mt-4 md:mt-0">
             <button onClick={handleOpenPopup} className="text-gray-300 hover:text-emerald-400" title="Set Initial Capital">
@@ -468,6 +525,89 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Roll Chains Card */}
+      {rollChains.length > 0 && (
+        <div className="bg-[#161B22] rounded-2xl p-6 shadow-lg col-span-1 md:col-span-2">
+          <h2 className="text-lg font-semibold text-white mb-2">Roll chains</h2>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400">
+                <th className="text-left py-1">Underlying</th>
+                <th className="text-left py-1">Latest strategy</th>
+                <th className="text-right py-1">Rolls</th>
+                <th className="text-right py-1">Chain P&L</th>
+                <th className="text-right py-1">Credits collected</th>
+                <th className="text-right py-1">Days in trade</th>
+                <th className="text-right py-1">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rollChains.map(chain => (
+                <tr key={chain.chainId} className="border-t border-[#30363D]">
+                  <td className="py-1">{chain.underlyingAsset || '-'}</td>
+                  <td className="py-1">{chain.strategies[chain.strategies.length - 1].strategy_type}</td>
+                  <td className="py-1 text-right">{chain.rolls}</td>
+                  <td className={`py-1 text-right ${chain.pnl >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                    {chain.pnl.toLocaleString(undefined, { maximumFractionDigits: 6 })} {chain.settlementAsset}
+                  </td>
+                  <td className="py-1 text-right">${chain.creditsCollected.toLocaleString(undefined, { maximumFractionDigits: 2 })}</td>
+                  <td className="py-1 text-right">{chain.daysInTrade}</td>
+                  <td className="py-1 text-right text-gray-400">{chain.isOpen ? 'Open' : 'Closed'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Wheel Campaigns Card */}
+      {wheelCampaigns.length > 0 && (
+        <div className="bg-[#161B22] rounded-2xl p-6 shadow-lg col-span-1 md:col-span-2">
+          <h2 className="text-lg font-semibold text-white mb-2">Wheel campaigns</h2>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400">
+                <th className="text-left py-1">Underlying</th>
+                <th className="text-left py-1">Stage</th>
+                <th className="text-right py-1">Trades</th>
+                <th className="text-right py-1">Premiums</th>
+                <th className="text-right py-1">Held</th>
+                <th className="text-right py-1">Adjusted cost basis</th>
+                <th className="text-right py-1">Return</th>
+                <th className="text-right py-1">Annualized yield</th>
+                <th className="text-right py-1">Days</th>
+              </tr>
+            </thead>
+            <tbody>
+              {wheelCampaigns.map(campaign => {
+                const price = prices?.[campaign.underlyingAsset];
+                const unrealized = campaign.units > 0 && price ? campaign.units * (price - campaign.costBasis) : null;
+                return (
+                  <tr key={`${campaign.underlyingAsset}-${campaign.strategies[0].id}`} className="border-t border-[#30363D]">
+                    <td className="py-1">{campaign.underlyingAsset}</td>
+                    <td className="py-1">{campaign.stage}</td>
+                    <td className="py-1 text-right">{campaign.strategies.length}</td>
+                    <td className="py-1 text-right">${campaign.premiums.toLocaleString(undefined, { maximumFractionDigits: 2 })}</td>
+                    <td className="py-1 text-right" title={unrealized !== null ? `Unrealized at $${price.toLocaleString()}: $${unrealized.toLocaleString(undefined, { maximumFractionDigits: 2 })}` : undefined}>
+                      {campaign.units > 0 ? `${parseFloat(campaign.units.toFixed(8))} @ $${campaign.costBasis.toLocaleString(undefined, { maximumFractionDigits: 2 })}` : '-'}
+                    </td>
+                    <td className="py-1 text-right">{campaign.adjustedCostBasis !== null ? `$${campaign.adjustedCostBasis.toLocaleString(undefined, { maximumFractionDigits: 2 })}` : '-'}</td>
+                    <td className={`py-1 text-right ${campaign.totalReturn >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                      ${campaign.totalReturn.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                    </td>
+                    <td className="py-1 text-right">{campaign.annualizedYield !== null ? `${campaign.annualizedYield.toFixed(1)}%` : '-'}</td>
+                    <td className="py-1 text-right">{campaign.daysInTrade}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Portfolio Risk Card */}
+      {hasOpenPositions && <PortfolioRisk strategies={strategies} prices={prices} />}
+
       {/* Initial Capital Popup */}
       {showPopup && (
         <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center" role="dialog" aria-modal="true">
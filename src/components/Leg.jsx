@@ -1,23 +1,40 @@
 import React from 'react';
 import Select from './Select';
 import Input from './Input';
+import DatePicker from './DatePicker';
+import { LINEAR_LEG_TYPES, OPTION_LEG_TYPES, PREMIUM_CURRENCIES, isCoinPremiumLeg, isOptionLeg } from '../utils/legUtils';
+import { FILL_SIDES, applyFillsToLeg, createFill, getNextFillId, hasFills, summarizeLegFills } from '../utils/fillUtils';
 
 /**
  * @typedef {object} LegValues
  * @property {string} action - The action (Buy or Sell).
- * @property {string} type - The option type (Call or Put).
- * @property {number} strike - The strike price.
- * @property {number} premium - The premium.
- * @property {number} contracts - The number of contracts.
+ * @property {string} type - The leg type: Call or Put, or Spot, Perpetual or Future for linear legs.
+ * @property {number} strike - The strike price (options only).
+ * @property {number} premium - The premium (options only).
+ * @property {string} [premiumCurrency] - One of PREMIUM_CURRENCIES: USD, or the underlying coin for inverse options.
+ * @property {number} contracts - The number of contracts, or the position size of a linear leg.
+ * @property {string} [expiry] - The expiration date of the leg (YYYY-MM-DD), for options and futures.
+ * @property {number} [entryPrice] - The entry price of a Spot, Perpetual or Future leg.
+ * @property {number} [exitPrice] - The exit premium (options) or exit price, in the entry currency. Blank while open or when settled at expiry.
+ * @property {number | null} [entryIv] - The implied volatility of the entry premium as a decimal (derived, see calculateLegImpliedVolatility).
+ * @property {import('../utils/fillUtils').Fill[]} [fills] - Open and close fills; when present they determine the contracts and entry premium.
+ * @property {{outcome: string, date: string, quantity: number} | null} [exercise] - Set when the option was exercised or assigned into spot (see utils/exercise).
  */
 
 /**
  * @typedef {object} LegProps
  * @property {string | number} id - The unique identifier for the leg.
- * @property {boolean} isFirst - True if this is the first leg.
+ * @property {string} label - The display label of the leg (A, B, …).
+ * @property {boolean} canDelete - False for the only remaining leg.
  * @property {function(): void} onDelete - Callback function to delete the leg.
+ * @property {function(): void} onDuplicate - Callback function to add a copy of the leg below it.
+ * @property {function(): void} onFlip - Callback function to switch the leg between Buy and Sell.
+ * @property {function(): void} [onMoveUp] - Callback function to move the leg up (omitted for the first leg).
+ * @property {function(): void} [onMoveDown] - Callback function to move the leg down (omitted for the last leg).
  * @property {(id: string | number, values: LegValues) => void} onChange - Callback function when leg values change.
  * @property {LegValues} values - The current values of the leg.
+ * @property {string} [underlyingAsset] - The underlying symbol, shown as the coin premium currency.
+ * @property {number | null} [impliedVol] - The implied volatility of the premium, shown next to it.
  */
 
 /**
@@ -25,12 +42,43 @@ import Input from './Input';
  * @param {LegProps} props - The component props.
  * @returns {JSX.Element}
  */
-const Leg = ({ id, isFirst, onDelete, onChange, values }) => {
+const Leg = ({ id, label, canDelete, onDelete, onDuplicate, onFlip, onMoveUp, onMoveDown, onChange, values, underlyingAsset, impliedVol }) => {
   const handleChange = (e) => {
     const { name, value } = e.target;
-    onChange(id, { ...values, [name]: value });
+    const updated = { ...values, [name]: value };
+    // Switching between an option and a linear leg drops the fields the new type does not use
+    if (name === 'type' && isOptionLeg(updated) !== isOptionLeg(values)) {
+      Object.assign(updated, isOptionLeg(updated) ? { entryPrice: '' } : { strike: '', premium: '' }, { exitPrice: '', fills: [] });
+      if (value === 'Spot' || value === 'Perpetual') updated.expiry = '';
+    }
+    onChange(id, updated);
   };
 
+  const handleFillChange = (fillId, name, value) => {
+    onChange(id, { ...values, fills: values.fills.map(fill => (fill.id === fillId ? { ...fill, [name]: value } : fill)) });
+  };
+
+  const addFill = () => {
+    const fills = values.fills || [];
+    // The first fill takes over the entered position, later ones default to closing what is open
+    const fill = fills.length === 0
+      ? createFill(1, { quantity: values.contracts, price: isOptionLeg(values) ? values.premium : values.entryPrice })
+      : createFill(getNextFillId(fills), { side: FILL_SIDES.CLOSE, quantity: summarizeLegFills(values).openQuantity });
+    onChange(id, { ...values, fills: [...fills, fill] });
+  };
+
+  const removeFill = (fillId) => {
+    onChange(id, { ...values, fills: values.fills.filter(fill => fill.id !== fillId) });
+  };
+
+  const isOption = isOptionLeg(values);
+  const hasExpiry = isOption || values.type === 'Future';
+  // Contracts and the entry premium follow the fills once there are any
+  const isFilled = hasFills(values);
+  const displayed = applyFillsToLeg(values);
+  const fillSummary = isFilled ? summarizeLegFills(values) : null;
+  const priceCurrency = isCoinPremiumLeg(values) ? underlyingAsset || 'coin' : 'USD';
+
   React.useEffect(() => {
     // Ensure parent always has up-to-date values
     onChange(id, values);
@@ -43,27 +91,51 @@ const Leg = ({ id, isFirst, onDelete, onChange, values }) => {
     type: `leg-${id}-type`,
     strike: `leg-${id}-strike`,
     premium: `leg-${id}-premium`,
-    contracts: `leg-${id}-contracts`
+    premiumCurrency: `leg-${id}-premium-currency`,
+    contracts: `leg-${id}-contracts`,
+    expiry: `leg-${id}-expiry`,
+    entryPrice: `leg-${id}-entry-price`,
+    exitPrice: `leg-${id}-exit-price`
   };
 
   return (
     <div className="leg-container">
       <div className="leg-header">
         <h3 className="text-sm font-medium text-[#C9D1D9]">
-          {`Leg ${String.fromCharCode(64 + parseInt(id))}`}
+          {`Leg ${label}`}
         </h3>
-        {!isFirst && (
-          <button 
-            type="button"
-            onClick={onDelete}
-            className="btn btn-danger"
-            aria-label="Delete leg"
-          >
-            <span className="material-icons text-sm">close</span>
-          </button>
-        )}
+        <div className="flex items-center space-x-1">
+          {[
+            { icon: 'arrow_upward', title: 'Move leg up', onClick: onMoveUp },
+            { icon: 'arrow_downward', title: 'Move leg down', onClick: onMoveDown },
+            { icon: 'swap_vert', title: 'Flip side (Buy/Sell)', onClick: onFlip },
+            { icon: 'content_copy', title: 'Duplicate leg', onClick: onDuplicate },
+          ].map(({ icon, title, onClick }) => (
+            <button
+              key={icon}
+              type="button"
+              onClick={onClick}
+              disabled={!onClick}
+              title={title}
+              aria-label={title}
+              className="btn w-6 h-6 rounded-full text-[#8B949E] hover:text-[#C9D1D9] hover:bg-[#30363D] disabled:opacity-30 disabled:cursor-not-allowed"
+            >
+              <span className="material-icons text-sm">{icon}</span>
+            </button>
+          ))}
+          {canDelete && (
+            <button 
+              type="button"
+              onClick={onDelete}
+              className="btn btn-danger"
+              aria-label="Delete leg"
+            >
+              <span className="material-icons text-sm">close</span>
+            </button>
+          )}
+        </div>
       </div>
-      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
         <div>
           <label htmlFor={inputIds.action} className="block text-xs font-medium mb-1 text-[#8B949E]">Action</label>
           <Select 
@@ -86,47 +158,190 @@ const Leg = ({ id, isFirst, onDelete, onChange, values }) => {
             onChange={handleChange} 
             className="select-field"
           >
-            <option>Call</option>
-            <option>Put</option>
+            {[...OPTION_LEG_TYPES, ...LINEAR_LEG_TYPES].map(type => (
+              <option key={type}>{type}</option>
+            ))}
           </Select>
         </div>
+        {isOption ? (
+          <>
+            <div>
+              <label htmlFor={inputIds.strike} className="block text-xs font-medium mb-1 text-[#8B949E]">Strike</label>
+              <Input 
+                type="number" 
+                name="strike" 
+                id={inputIds.strike}
+                value={values.strike} 
+                onChange={handleChange} 
+                placeholder="Strike price" 
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label htmlFor={inputIds.premium} className="flex justify-between text-xs font-medium mb-1 text-[#8B949E]">
+                <span>Premium</span>
+                {impliedVol != null && (
+                  <span title="Implied volatility of the premium at the entry asset price">IV {(impliedVol * 100).toFixed(1)}%</span>
+                )}
+              </label>
+              <Input 
+                type="number" 
+                name="premium" 
+                id={inputIds.premium}
+                value={displayed.premium} 
+                onChange={handleChange} 
+                placeholder="Premium" 
+                readOnly={isFilled}
+                title={isFilled ? 'Average entry of the open fills' : undefined}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label htmlFor={inputIds.premiumCurrency} className="block text-xs font-medium mb-1 text-[#8B949E]">Premium In</label>
+              <Select
+                name="premiumCurrency"
+                id={inputIds.premiumCurrency}
+                value={values.premiumCurrency || PREMIUM_CURRENCIES.USD}
+                onChange={handleChange}
+                className="select-field"
+              >
+                <option value={PREMIUM_CURRENCIES.USD}>USD</option>
+                <option value={PREMIUM_CURRENCIES.UNDERLYING}>{underlyingAsset || 'Coin'} (inverse)</option>
+              </Select>
+            </div>
+          </>
+        ) : (
+          <div>
+            <label htmlFor={inputIds.entryPrice} className="block text-xs font-medium mb-1 text-[#8B949E]">Entry Price</label>
+            <Input
+              type="number"
+              name="entryPrice"
+              id={inputIds.entryPrice}
+              value={displayed.entryPrice || ''}
+              onChange={handleChange}
+              placeholder="Entry price"
+              readOnly={isFilled}
+              title={isFilled ? 'Average entry of the open fills' : undefined}
+              className="input-field"
+            />
+          </div>
+        )}
         <div>
-          <label htmlFor={inputIds.strike} className="block text-xs font-medium mb-1 text-[#8B949E]">Strike</label>
+          <label htmlFor={inputIds.contracts} className="block text-xs font-medium mb-1 text-[#8B949E]">{isOption ? 'Contracts' : 'Size'}</label>
           <Input 
             type="number" 
-            name="strike" 
-            id={inputIds.strike}
-            value={values.strike} 
+            name="contracts" 
+            id={inputIds.contracts}
+            value={displayed.contracts} 
+            min="0" 
+            step="any" 
             onChange={handleChange} 
-            placeholder="Strike price" 
+            placeholder="No." 
+            readOnly={isFilled}
+            title={isFilled ? 'Contracts still open according to the fills' : undefined}
             className="input-field"
           />
         </div>
         <div>
-          <label htmlFor={inputIds.premium} className="block text-xs font-medium mb-1 text-[#8B949E]">Premium</label>
-          <Input 
-            type="number" 
-            name="premium" 
-            id={inputIds.premium}
-            value={values.premium} 
-            onChange={handleChange} 
-            placeholder="Premium" 
+          <label htmlFor={inputIds.exitPrice} className="block text-xs font-medium mb-1 text-[#8B949E]">{isOption ? 'Exit Premium' : 'Exit Price'}</label>
+          <Input
+            type="number"
+            name="exitPrice"
+            id={inputIds.exitPrice}
+            value={values.exitPrice || ''}
+            onChange={handleChange}
+            placeholder={isOption ? 'Open / expiry' : 'Open'}
+            title="Leave blank while the leg is open, or to settle it at expiry at the settlement price"
             className="input-field"
           />
         </div>
-        <div>
-          <label htmlFor={inputIds.contracts} className="block text-xs font-medium mb-1 text-[#8B949E]">Contracts</label>
-          <Input 
-            type="number" 
-            name="contracts" 
-            id={inputIds.contracts}
-            value={values.contracts} 
-            min="1" 
-            onChange={handleChange} 
-            placeholder="No." 
-            className="input-field"
-          />
+        {hasExpiry && (
+          <div>
+            <label htmlFor={inputIds.expiry} className="block text-xs font-medium mb-1 text-[#8B949E]">Expiry</label>
+            <DatePicker
+              name="expiry"
+              id={inputIds.expiry}
+              value={values.expiry || ''}
+              onChange={handleChange}
+            />
+          </div>
+        )}
+      </div>
+      <div className="mt-4 space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-medium text-[#8B949E]">
+            Fills
+            {fillSummary && (
+              <span className="ml-2">
+                {`${fillSummary.status} · open ${parseFloat(fillSummary.openQuantity.toFixed(4))} of ${parseFloat(fillSummary.openedQuantity.toFixed(4))} · realized ${parseFloat(fillSummary.realizedPnl.toFixed(6))} ${priceCurrency}`}
+              </span>
+            )}
+          </span>
+          <button
+            type="button"
+            onClick={addFill}
+            className="inline-flex items-center space-x-1 text-xs text-[#8B949E] hover:text-[#C9D1D9]"
+          >
+            <span className="material-icons text-sm">add_circle_outline</span>
+            <span>Add fill</span>
+          </button>
         </div>
+        {(values.fills || []).map(fill => (
+          <div key={fill.id} className="grid grid-cols-6 gap-2 items-center">
+            <Select
+              aria-label="Fill side"
+              value={fill.side}
+              onChange={e => handleFillChange(fill.id, 'side', e.target.value)}
+              className="select-field"
+            >
+              <option value={FILL_SIDES.OPEN}>Open</option>
+              <option value={FILL_SIDES.CLOSE}>Close</option>
+            </Select>
+            <Input
+              type="number"
+              aria-label="Fill quantity"
+              value={fill.quantity}
+              min="0"
+              step="any"
+              onChange={e => handleFillChange(fill.id, 'quantity', e.target.value)}
+              placeholder="Qty"
+              className="input-field"
+            />
+            <Input
+              type="number"
+              aria-label="Fill price"
+              value={fill.price}
+              step="any"
+              onChange={e => handleFillChange(fill.id, 'price', e.target.value)}
+              placeholder={`Price (${priceCurrency})`}
+              className="input-field"
+            />
+            <DatePicker
+              aria-label="Fill date"
+              value={fill.date || ''}
+              onChange={e => handleFillChange(fill.id, 'date', e.target.value)}
+            />
+            <Input
+              type="number"
+              aria-label="Fill fees"
+              value={fill.fees}
+              min="0"
+              step="any"
+              onChange={e => handleFillChange(fill.id, 'fees', e.target.value)}
+              placeholder="Fees"
+              className="input-field"
+            />
+            <button
+              type="button"
+              onClick={() => removeFill(fill.id)}
+              className="btn w-6 h-6 rounded-full text-[#8B949E] hover:text-[#C9D1D9] hover:bg-[#30363D]"
+              aria-label="Remove fill"
+              title="Remove fill"
+            >
+              <span className="material-icons text-sm">close</span>
+            </button>
+          </div>
+        ))}
       </div>
     </div>
   );
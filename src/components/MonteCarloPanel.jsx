@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  BarElement,
+  CategoryScale,
+  LinearScale,
+  Tooltip,
+} from 'chart.js';
+import { DEFAULT_PATHS, DEFAULT_SEED, DISTRIBUTIONS, runMonteCarlo, toLogReturns } from '../utils/monteCarlo';
+import { getFrontExpiry } from '../utils/pricing';
+
+ChartJS.register(BarElement, CategoryScale, LinearScale, Tooltip);
+
+// CoinGecko ids of the underlyings, for the historical returns
+const COINGECKO_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  SOL: 'solana',
+};
+
+// Days of daily closes bootstrapped by the historical distribution
+const HISTORY_DAYS = 365;
+const MAX_PATHS = 100000;
+const NO_RETURNS = [];
+
+const formatUsd = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+
+/**
+ * Simulated P&L distribution of a strategy at its front expiry: expected P&L, percentiles,
+ * probability of a loss beyond a threshold and CVaR, with a histogram.
+ * @param {object} props
+ * @param {Array<import('./Leg').LegValues>} props.legs - The strategy legs.
+ * @param {number} props.assetPrice - The current underlying price.
+ * @param {string} props.underlyingAsset - The underlying, for the historical returns.
+ * @param {{volatility: number, rate: number, model: string}} props.pricingParams - The pricing inputs of the form.
+ * @returns {JSX.Element | null}
+ */
+const MonteCarloPanel = ({ legs, assetPrice, underlyingAsset, pricingParams }) => {
+  const [distribution, setDistribution] = useState(DISTRIBUTIONS.LOGNORMAL);
+  const [paths, setPaths] = useState(String(DEFAULT_PATHS));
+  const [seed, setSeed] = useState(String(DEFAULT_SEED));
+  const [lossThreshold, setLossThreshold] = useState('');
+  const [history, setHistory] = useState({ asset: null, returns: [], error: null });
+
+  // Daily closes of the underlying are fetched once per asset when the historical distribution is picked
+  useEffect(() => {
+    if (distribution !== DISTRIBUTIONS.HISTORICAL || !underlyingAsset || history.asset === underlyingAsset) return;
+    let cancelled = false;
+    async function fetchHistory() {
+      const id = COINGECKO_IDS[underlyingAsset] || underlyingAsset.toLowerCase();
+      try {
+        const res = await fetch(`https://api.coingecko.com/api/v3/coins/${id}/market_chart?vs_currency=usd&days=${HISTORY_DAYS}&interval=daily`);
+        if (!res.ok) throw new Error(`CoinGecko responded ${res.status}`);
+        const data = await res.json();
+        const closes = (data.prices || []).map(([, price]) => price);
+        // A bootstrap needs at least one return, so two closes
+        if (closes.length < 2) throw new Error('Not enough price history');
+        if (!cancelled) setHistory({ asset: underlyingAsset, returns: toLogReturns(closes), error: null });
+      } catch (err) {
+        console.error('Failed to fetch price history', err);
+        if (!cancelled) setHistory({ asset: underlyingAsset, returns: [], error: 'Price history unavailable' });
+      }
+    }
+    fetchHistory();
+    return () => { cancelled = true; };
+  }, [distribution, underlyingAsset, history.asset]);
+
+  const historicalReturns = history.asset === underlyingAsset ? history.returns : NO_RETURNS;
+  const result = useMemo(() => runMonteCarlo(legs, assetPrice, {
+    ...pricingParams,
+    distribution,
+    historicalReturns,
+    paths: Math.min(MAX_PATHS, parseInt(paths, 10) || 0),
+    seed: parseInt(seed, 10) || 0,
+    lossThreshold: parseFloat(lossThreshold) || 0,
+  }), [legs, assetPrice, pricingParams, distribution, historicalReturns, paths, seed, lossThreshold]);
+
+  if (!(assetPrice > 0) || !getFrontExpiry(legs)) return null;
+
+  const inputClassName = 'ml-2 w-20 bg-[#23272F] text-gray-200 px-2 py-1 rounded border border-[#30363D] text-xs';
+
+  const chartData = result && {
+    labels: result.histogram.map(bin => formatUsd((bin.from + bin.to) / 2)),
+    datasets: [
+      {
+        label: 'Outcomes',
+        data: result.histogram.map(bin => (bin.count / result.paths) * 100),
+        backgroundColor: result.histogram.map(bin => ((bin.from + bin.to) / 2 >= 0 ? 'rgba(16, 185, 129, 0.7)' : 'rgba(239, 68, 68, 0.7)')),
+        barPercentage: 1,
+        categoryPercentage: 1,
+      },
+    ],
+  };
+  const chartOptions = {
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: items => {
+            const bin = result.histogram[items[0].dataIndex];
+            return `${formatUsd(bin.from)} to ${formatUsd(bin.to)}`;
+          },
+          label: ctx => `${ctx.parsed.y.toFixed(1)}% of outcomes`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        ticks: { color: '#8B949E', maxTicksLimit: 8 },
+        grid: { display: false },
+      },
+      y: {
+        ticks: { color: '#8B949E', callback: value => `${value}%` },
+        grid: { color: 'rgba(255,255,255,0.05)' },
+      },
+    },
+  };
+
+  const stats = result ? [
+    { label: 'Expected P&L', value: formatUsd(result.expectedPnl), positive: result.expectedPnl >= 0 },
+    { label: 'Median (P5 – P95)', value: `${formatUsd(result.percentiles[50])} (${formatUsd(result.percentiles[5])} – ${formatUsd(result.percentiles[95])})`, positive: result.percentiles[50] >= 0 },
+    { label: 'Prob. of Profit', value: `${result.probProfit.toFixed(1)}%`, positive: result.probProfit >= 50 },
+    { label: `Prob. of Loss > ${formatUsd(result.lossThreshold)}`, value: `${result.probLossBeyond.toFixed(1)}%`, positive: false },
+    { label: 'CVaR 95%', value: formatUsd(result.cvar), positive: result.cvar >= 0 },
+  ] : [];
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-sm font-medium text-[#C9D1D9]">Monte Carlo Outcomes</h3>
+        <div className="flex flex-wrap items-center gap-3 text-xs text-[#8B949E]">
+          <label htmlFor="mc-distribution" className="flex items-center">
+            Distribution
+            <select
+              id="mc-distribution"
+              value={distribution}
+              onChange={e => setDistribution(e.target.value)}
+              className="ml-2 bg-[#23272F] text-gray-200 px-2 py-1 rounded border border-[#30363D] text-xs"
+            >
+              <option value={DISTRIBUTIONS.LOGNORMAL}>Lognormal (IV)</option>
+              <option value={DISTRIBUTIONS.HISTORICAL}>Historical ({HISTORY_DAYS}d bootstrap)</option>
+            </select>
+          </label>
+          <label htmlFor="mc-paths" className="flex items-center">
+            Paths
+            <input id="mc-paths" type="number" min="100" max={MAX_PATHS} step="100" value={paths} onChange={e => setPaths(e.target.value)} className={inputClassName} />
+          </label>
+          <label htmlFor="mc-seed" className="flex items-center">
+            Seed
+            <input id="mc-seed" type="number" step="1" value={seed} onChange={e => setSeed(e.target.value)} className={inputClassName} />
+          </label>
+          <label htmlFor="mc-loss" className="flex items-center">
+            Loss &gt; $
+            <input id="mc-loss" type="number" min="0" step="any" value={lossThreshold} placeholder="0" onChange={e => setLossThreshold(e.target.value)} className={inputClassName} />
+          </label>
+        </div>
+      </div>
+      {result ? (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-3">
+            {stats.map(stat => (
+              <div key={stat.label} className="bg-[#23272F] rounded-lg px-3 py-2">
+                <div className="text-[10px] text-[#8B949E]">{stat.label}</div>
+                <div className={`text-sm font-semibold ${stat.positive ? 'text-green-400' : 'text-red-400'}`}>{stat.value}</div>
+              </div>
+            ))}
+          </div>
+          <div className="h-48">
+            <Bar data={chartData} options={chartOptions} />
+          </div>
+          <p className="mt-1 text-xs text-[#8B949E]">
+            {result.paths.toLocaleString()} terminal prices over {result.horizonDays} days to the front expiry, seed {parseInt(seed, 10) || 0}.
+          </p>
+        </>
+      ) : (
+        <p className="text-xs text-[#8B949E]">
+          {distribution === DISTRIBUTIONS.HISTORICAL
+            ? history.error || (underlyingAsset ? 'Loading price history…' : 'Select an underlying asset to bootstrap its returns.')
+            : 'Enter an implied volatility to simulate outcomes.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloPanel;
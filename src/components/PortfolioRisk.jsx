@@ -0,0 +1,183 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { initChart, updatePayoffChart } from '../utils/chartUtils';
+import { getFrontExpiry } from '../utils/pricing';
+import { RISK_SHOCK, buildPortfolioRisk, getAverageEntryIv, getOpenStrategyLegs, getOpenUnderlyings, getReferencePrice } from '../utils/portfolioRisk';
+
+const formatUsd = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const pnlClassName = (value) => (value >= 0 ? 'text-emerald-400' : 'text-red-400');
+
+// Positions listed under the chart
+const TOP_POSITIONS = 5;
+
+/**
+ * Combined payoff, T+0 curve and net Greeks of every open strategy on one underlying, with the
+ * positions that contribute most to the risk.
+ * @param {object} props
+ * @param {Array<object>} props.strategies - The saved strategies.
+ * @param {Object<string, number>} [props.prices] - Live prices by asset.
+ * @returns {JSX.Element | null}
+ */
+const PortfolioRisk = ({ strategies, prices }) => {
+  const chartRef = useRef(null);
+  const chartInstanceRef = useRef(null);
+  const underlyings = useMemo(() => getOpenUnderlyings(strategies), [strategies]);
+  const [underlying, setUnderlying] = useState(underlyings[0] || '');
+  const [priceInput, setPriceInput] = useState('');
+  const [ivInput, setIvInput] = useState('');
+
+  // The live price, or the entry price of the latest open strategy, until a price is typed in
+  const defaultPrice = useMemo(() => getReferencePrice(strategies, underlying, prices), [strategies, prices, underlying]);
+  const defaultIv = useMemo(() => {
+    const iv = getAverageEntryIv(strategies.filter(strategy => strategy.underlying_asset === underlying).flatMap(getOpenStrategyLegs));
+    return iv ? parseFloat((iv * 100).toFixed(1)) : '';
+  }, [strategies, underlying]);
+
+  const price = parseFloat(priceInput) || defaultPrice;
+  const volatility = (parseFloat(ivInput) || parseFloat(defaultIv) || 0) / 100;
+  const risk = useMemo(
+    () => buildPortfolioRisk(strategies, underlying, price, { volatility }),
+    [strategies, underlying, price, volatility]
+  );
+
+  useEffect(() => {
+    if (chartRef.current && !chartInstanceRef.current) {
+      chartInstanceRef.current = initChart(chartRef.current);
+    }
+    return () => {
+      if (chartInstanceRef.current) {
+        chartInstanceRef.current.destroy();
+        chartInstanceRef.current = null;
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!chartInstanceRef.current || !risk) return;
+    const frontExpiry = getFrontExpiry(risk.legs);
+    updatePayoffChart(
+      chartInstanceRef.current,
+      risk.legs,
+      price,
+      frontExpiry && volatility > 0 ? { volatility, rate: 0, expiry: frontExpiry } : undefined
+    );
+  }, [risk, price, volatility]);
+
+  const selectUnderlying = (asset) => {
+    setUnderlying(asset);
+    setPriceInput('');
+    setIvInput('');
+  };
+
+  const inputClassName = 'ml-2 w-24 bg-[#23272F] text-gray-200 px-2 py-1 rounded border border-[#30363D] text-xs';
+  const totalRisk = risk ? risk.positions.reduce((sum, position) => sum + position.risk, 0) : 0;
+  const shockLabel = `${(RISK_SHOCK * 100).toFixed(0)}%`;
+
+  return (
+    <div className="bg-[#161B22] rounded-2xl p-6 shadow-lg col-span-1 md:col-span-2">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-semibold text-white">Portfolio risk</h2>
+        <div className="flex flex-wrap items-center gap-3 text-xs text-gray-400">
+          <div className="flex gap-1">
+            {underlyings.map(asset => (
+              <button
+                key={asset}
+                type="button"
+                className={`px-3 py-1 rounded-full ${asset === underlying ? 'bg-emerald-500 text-white' : 'bg-[#23272F] text-gray-300'}`}
+                onClick={() => selectUnderlying(asset)}
+              >
+                {asset}
+              </button>
+            ))}
+          </div>
+          <label htmlFor="portfolio-price" className="flex items-center">
+            Price
+            <input id="portfolio-price" type="number" min="0" step="any" value={priceInput} placeholder={String(defaultPrice || '')} onChange={e => setPriceInput(e.target.value)} className={inputClassName} />
+          </label>
+          <label htmlFor="portfolio-iv" className="flex items-center">
+            IV %
+            <input id="portfolio-iv" type="number" min="0" step="0.1" value={ivInput} placeholder={String(defaultIv)} onChange={e => setIvInput(e.target.value)} className={inputClassName} />
+          </label>
+        </div>
+      </div>
+
+      {risk && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+          <div className="bg-[#23272F] rounded-lg px-3 py-2">
+            <div className="text-xs text-gray-400">Open P&L</div>
+            <div className={`font-semibold ${pnlClassName(risk.openPnl)}`}>{formatUsd(risk.openPnl)}</div>
+          </div>
+          <div className="bg-[#23272F] rounded-lg px-3 py-2">
+            <div className="text-xs text-gray-400">Net delta</div>
+            <div className="font-semibold text-white">
+              {risk.greeks ? `${risk.greeks.delta.toFixed(4)} ${underlying}` : '-'}
+              {risk.greeks && <span className="block text-xs text-gray-400">{formatUsd(risk.dollarDelta)}</span>}
+            </div>
+          </div>
+          <div className="bg-[#23272F] rounded-lg px-3 py-2">
+            <div className="text-xs text-gray-400">Gamma</div>
+            <div className="font-semibold text-white">{risk.greeks ? risk.greeks.gamma.toFixed(6) : '-'}</div>
+          </div>
+          <div className="bg-[#23272F] rounded-lg px-3 py-2">
+            <div className="text-xs text-gray-400">Theta / day</div>
+            <div className={`font-semibold ${risk.greeks ? pnlClassName(risk.greeks.theta) : 'text-white'}`}>{risk.greeks ? formatUsd(risk.greeks.theta) : '-'}</div>
+          </div>
+          <div className="bg-[#23272F] rounded-lg px-3 py-2">
+            <div className="text-xs text-gray-400">Vega / vol pt</div>
+            <div className="font-semibold text-white">{risk.greeks ? formatUsd(risk.greeks.vega) : '-'}</div>
+          </div>
+        </div>
+      )}
+      {risk && !risk.greeks && (
+        <p className="text-xs text-gray-400 mb-2">Enter an implied volatility to see the T+0 curve and the Greeks.</p>
+      )}
+      {risk && risk.undatedPositions > 0 && (
+        <p className="text-xs text-gray-400 mb-2">
+          {risk.undatedPositions} {risk.undatedPositions === 1 ? 'position has' : 'positions have'} options without an expiry or close date, valued without time value.
+        </p>
+      )}
+
+      <div className="h-72 mb-4">
+        <canvas ref={chartRef}></canvas>
+      </div>
+
+      {risk && (
+        <>
+          <h3 className="text-sm font-semibold text-gray-300 mb-2">Largest contributors</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400">
+                <th className="text-left py-1">Strategy</th>
+                <th className="text-left py-1">Opened</th>
+                <th className="text-right py-1">Delta</th>
+                <th className="text-right py-1">Theta</th>
+                <th className="text-right py-1">Vega</th>
+                <th className="text-right py-1">-{shockLabel}</th>
+                <th className="text-right py-1">+{shockLabel}</th>
+                <th className="text-right py-1">Share of risk</th>
+              </tr>
+            </thead>
+            <tbody>
+              {risk.positions.slice(0, TOP_POSITIONS).map(position => (
+                <tr key={position.strategy.id} className="border-t border-[#30363D]">
+                  <td className="py-1">{position.strategy.strategy_type}</td>
+                  <td className="py-1">{position.strategy.open_date ? new Date(position.strategy.open_date).toLocaleDateString() : '-'}</td>
+                  <td className="py-1 text-right">{position.greeks ? position.greeks.delta.toFixed(4) : '-'}</td>
+                  <td className="py-1 text-right">{position.greeks ? formatUsd(position.greeks.theta) : '-'}</td>
+                  <td className="py-1 text-right">{position.greeks ? formatUsd(position.greeks.vega) : '-'}</td>
+                  <td className={`py-1 text-right ${pnlClassName(position.shockPnl.down)}`}>{formatUsd(position.shockPnl.down)}</td>
+                  <td className={`py-1 text-right ${pnlClassName(position.shockPnl.up)}`}>{formatUsd(position.shockPnl.up)}</td>
+                  <td className="py-1 text-right">{totalRisk > 0 ? `${((position.risk / totalRisk) * 100).toFixed(0)}%` : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {risk.positions.length > TOP_POSITIONS && (
+            <p className="text-xs text-gray-400 mt-1">{risk.positions.length - TOP_POSITIONS} smaller positions not listed.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioRisk;
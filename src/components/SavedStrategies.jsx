@@ -9,8 +9,37 @@ import { storageService } from '../services/storageService';
 import { supabase } from '../services/supabase';
 import Select from './Select';
 import Input from './Input';
-import { calculateStrategyMetrics } from '../utils/strategyCalculations';
+import { calculateStrategyMetrics, calculateTradeResult, settlementAmountToUsd, toSettlementAmount } from '../utils/strategyCalculations';
+import { getLegContracts, getLegLabel, isCoinPremiumLeg, isOptionLeg } from '../utils/legUtils';
+import { FILL_SIDES, POSITION_STATUSES, getLegFills, getStrategyStatus, summarizeLegFills } from '../utils/fillUtils';
+import { getPartialRealizedPnl, markStrategyToMarket, summarizeUnrealizedPnl } from '../utils/markToMarket';
+import { getOpenStrategyLegs, isUndatedOptionLeg } from '../utils/portfolioRisk';
+import { buildRollChains, getChainId } from '../utils/rollChains';
+import { calculateStrategyFees, getStrategyFeeOptions } from '../utils/feeSchedules';
+import { EXERCISE_OUTCOMES, createSpotLot, exerciseLeg, getExerciseOutcome, getExerciseQuantity, isExercisedLeg } from '../utils/exercise';
 import LoginPage from './LoginPage';
+// Price the underlying settled at; strategies saved without one fall back to the entry price
+const settlementReferencePrice = (strategy) => parseFloat(strategy.settlement_price) || parseFloat(strategy.asset_price) || 0;
+
+const isCoinSettled = (strategy) => !!strategy.settlement_asset && strategy.settlement_asset !== 'USD';
+
+// Premiums and max profit/loss are saved in USD; the native view shows them in the settlement coin at the entry price
+const usdToNative = (amount, strategy) => {
+  const price = parseFloat(strategy.asset_price) || 0;
+  return isCoinSettled(strategy) && price > 0 ? amount / price : amount;
+};
+
+// Realized P&L is saved in the settlement asset and converted at the settlement price
+const pnlAmounts = (strategy) => {
+  const price = settlementReferencePrice(strategy);
+  if (!isCoinSettled(strategy)) return { usd: strategy.pnl, coin: price > 0 ? strategy.pnl / price : null };
+  return { usd: price > 0 ? strategy.pnl * price : null, coin: strategy.pnl };
+};
+
+const formatUsd = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+const formatCoin = (amount) => parseFloat(amount.toFixed(6)).toString();
+
 // Short date format: DD/MM/YY
 const shortDate = (dateString) => {
   if (!dateString) return '';
@@ -21,18 +50,119 @@ const shortDate = (dateString) => {
   return `${day}/${month}/${year}`;
 };
 
-const TradeOutcomePopup = ({ isOpen, onClose, strategy, onUpdate }) => {
-  const [outcome, setOutcome] = useState(strategy.trade_outcome);
-  const [value, setValue] = useState('');
+// Columns of the strategies table, one per cell of a strategy row
+const COLUMNS = [
+  { label: 'Underlying' },
+  { label: 'Settlement' },
+  { label: 'Strat' },
+  { label: 'Open' },
+  { label: 'Close' },
+  { label: 'Legs' },
+  { label: 'Contracts', className: 'text-right' },
+  { label: 'Premium', className: 'text-right' },
+  { label: 'Profit', className: 'text-right' },
+  { label: 'Loss', className: 'text-right' },
+  { label: 'Margin', className: 'text-right' },
+  { label: 'Delta', className: 'text-right' },
+  { label: 'Entry', className: 'text-right' },
+  { label: 'Current', className: 'text-right' },
+  { label: 'Return', className: 'text-right' },
+  { label: 'Status', className: 'text-center' },
+  { label: 'P&L', className: 'text-right' },
+  { label: 'ROI', className: 'text-right' },
+  { label: 'Actions', className: 'text-center' },
+];
+
+// Spanned by the fill history and roll chain rows
+const COLUMN_COUNT = COLUMNS.length;
+
+/**
+ * Lists the open and close fills of every leg of a saved strategy, with the position they add up to.
+ */
+const FillHistory = ({ strategy }) => (
+  <table className="w-full text-xs">
+    <thead>
+      <tr>
+        <th className="table-header px-2">Leg</th>
+        <th className="table-header px-2">Side</th>
+        <th className="table-header px-2 text-right">Quantity</th>
+        <th className="table-header px-2 text-right">Price</th>
+        <th className="table-header px-2">Date</th>
+        <th className="table-header px-2 text-right">Fees</th>
+      </tr>
+    </thead>
+    <tbody>
+      {strategy.legs.map((leg, index) => {
+        const summary = summarizeLegFills(leg);
+        const currency = isCoinPremiumLeg(leg) ? strategy.underlying_asset : 'USD';
+        return (
+          <React.Fragment key={leg.id ?? index}>
+            {getLegFills(leg).map((fill, fillIndex) => (
+              <tr key={fill.id ?? fillIndex}>
+                <td className="table-cell py-1 px-2">
+                  {fillIndex === 0 ? `Leg ${getLegLabel(index)}: ${leg.action} ${leg.type}${isOptionLeg(leg) ? ` ${leg.strike}` : ''}${leg.entryIv ? ` (IV ${(leg.entryIv * 100).toFixed(1)}%)` : ''}` : ''}
+                </td>
+                <td className="table-cell py-1 px-2">{fill.side === FILL_SIDES.CLOSE ? 'Close' : 'Open'}</td>
+                <td className="table-cell py-1 px-2 text-right">{parseFloat(fill.quantity) || 0}</td>
+                <td className="table-cell py-1 px-2 text-right">{fill.price} {currency}</td>
+                <td className="table-cell py-1 px-2">{fill.date ? shortDate(fill.date) : '-'}</td>
+                <td className="table-cell py-1 px-2 text-right">{parseFloat(fill.fees) || 0}</td>
+              </tr>
+            ))}
+            <tr>
+              <td className="table-cell py-1 px-2 text-[#8B949E]" colSpan={6}>
+                {`${summary.status} · open ${parseFloat(summary.openQuantity.toFixed(4))} of ${parseFloat(summary.openedQuantity.toFixed(4))} · avg entry ${parseFloat(summary.averageEntry.toFixed(6))} · realized ${parseFloat(summary.realizedPnl.toFixed(6))} ${currency}${isExercisedLeg(leg) ? ` · ${leg.exercise.outcome} into ${leg.exercise.quantity} ${strategy.underlying_asset} at ${leg.strike}` : ''}`}
+              </td>
+            </tr>
+          </React.Fragment>
+        );
+      })}
+    </tbody>
+  </table>
+);
+
+/**
+ * Closes (or reopens) a saved strategy from the exit price of each leg and the underlying price at
+ * close. The realized P&L, ROI and outcome are derived from the legs rather than typed in.
+ * When rolling, the strategy must be closed and is linked into a roll chain. Option legs can be
+ * marked exercised or assigned, which closes them at a zero premium and hands back spot lots.
+ */
+const TradeOutcomePopup = ({ isOpen, onClose, strategy, onUpdate, isRoll }) => {
+  const [legs, setLegs] = useState(() => (strategy.legs || []).map(leg => ({ ...leg, exitPrice: leg.exitPrice ?? '' })));
+  const [closePrice, setClosePrice] = useState(strategy.settlement_price ?? '');
+  const fees = calculateStrategyFees(legs, getStrategyFeeOptions(strategy, parseFloat(closePrice)));
+  const result = calculateTradeResult(legs, parseFloat(closePrice), strategy.settlement_asset, parseFloat(strategy.margin_required), parseFloat(strategy.asset_price), fees);
+
+  const handleExitChange = (index, value) => {
+    setLegs(prev => prev.map((leg, i) => (i === index ? { ...leg, exitPrice: value } : leg)));
+  };
+
+  const handleExerciseChange = (index, exercised) => {
+    setLegs(prev => prev.map((leg, i) => {
+      if (i !== index) return leg;
+      if (exercised) return exerciseLeg(leg, new Date().toISOString().slice(0, 10));
+      return { ...leg, exitPrice: '', exercise: null };
+    }));
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    // Only legs exercised in this update create lots; earlier ones are already in the wallet
+    const spotLots = legs
+      .filter((leg, index) => isExercisedLeg(leg) && !isExercisedLeg(strategy.legs[index]))
+      .map(leg => createSpotLot(leg, strategy));
     onUpdate(strategy.id, {
       ...strategy,
-      trade_outcome: outcome,
-      pnl: outcome === 'pending' ? null : parseFloat(value) || 0,
-      roi: outcome === 'pending' ? null : ((parseFloat(value) || 0) / parseFloat(strategy.margin_required)) * 100
-    });
+      legs,
+      settlement_price: parseFloat(closePrice) || null,
+      trade_outcome: result.tradeOutcome,
+      status: result.status,
+      pnl: result.pnl,
+      gross_pnl: result.grossPnl,
+      fees: toSettlementAmount(fees.total, strategy.settlement_asset, parseFloat(closePrice) || parseFloat(strategy.asset_price)),
+      roi: result.roi,
+      ...(isRoll ? { chain_id: getChainId(strategy), close_date: strategy.close_date || new Date().toISOString().slice(0, 10) } : {})
+    }, spotLots);
     onClose();
   };
 
@@ -45,40 +175,60 @@ const TradeOutcomePopup = ({ isOpen, onClose, strategy, onUpdate }) => {
       aria-modal="true"
       aria-labelledby="dialog-title"
     >
-      <div className="bg-[#161B22] border border-[#30363D] rounded-lg p-6 w-96">
-        <h3 id="dialog-title" className="text-lg font-semibold mb-4 text-emerald-400">Update Trade Outcome</h3>
+      <div className="bg-[#161B22] border border-[#30363D] rounded-lg p-6 w-[28rem]">
+        <h3 id="dialog-title" className="text-lg font-semibold mb-4 text-emerald-400">{isRoll ? 'Roll Strategy' : 'Update Trade Outcome'}</h3>
         <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label htmlFor="trade-outcome" className="block text-sm font-medium mb-2 text-[#C9D1D9]">Outcome</label>
-            <Select
-              id="trade-outcome"
-              name="trade-outcome"
-              value={outcome}
-              onChange={(e) => setOutcome(e.target.value)}
-            >
-              <option value="pending">Pending</option>
-              <option value="profit">Profit</option>
-              <option value="loss">Loss</option>
-            </Select>
-          </div>
-
-          {(outcome === 'profit' || outcome === 'loss') && (
-            <div>
-              <label htmlFor="amount" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
-                {outcome === 'profit' ? 'Profit Amount ($)' : 'Loss Amount ($)'}
+          {legs.map((leg, index) => (
+            <div key={leg.id ?? index}>
+              <label htmlFor={`exit-price-${index}`} className="block text-sm font-medium mb-2 text-[#C9D1D9]">
+                {`Leg ${getLegLabel(index)}: ${leg.action} ${getLegContracts(leg)} ${leg.type}${isOptionLeg(leg) ? ` ${leg.strike}` : ''}`}
               </label>
               <Input
                 type="number"
-                id="amount"
-                name="amount"
-                value={value}
-                onChange={(e) => setValue(e.target.value)}
-                placeholder="Enter amount"
-                step="0.01"
-                required
+                id={`exit-price-${index}`}
+                value={leg.exitPrice}
+                onChange={(e) => handleExitChange(index, e.target.value)}
+                placeholder={isOptionLeg(leg) ? 'Exit premium (blank = settle at expiry)' : 'Exit price'}
+                step="any"
+                disabled={isExercisedLeg(leg)}
               />
+              {isOptionLeg(leg) && (
+                <label className="flex items-center mt-1 text-xs text-[#8B949E]">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={isExercisedLeg(leg)}
+                    onChange={(e) => handleExerciseChange(index, e.target.checked)}
+                  />
+                  {getExerciseOutcome(leg) === EXERCISE_OUTCOMES.ASSIGNED ? 'Assigned' : 'Exercised'}
+                  {isExercisedLeg(leg)
+                    ? ` · ${leg.exercise.quantity > 0 ? 'buys' : 'sells'} ${parseFloat(Math.abs(leg.exercise.quantity).toFixed(8))} ${strategy.underlying_asset || 'units'} at ${leg.strike}`
+                    : ` (${getExerciseQuantity(leg) > 0 ? 'buy' : 'sell'} spot at the strike)`}
+                </label>
+              )}
             </div>
-          )}
+          ))}
+
+          <div>
+            <label htmlFor="close-price" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
+              Close / Settlement Price ({strategy.underlying_asset || 'Asset'})
+            </label>
+            <Input
+              type="number"
+              id="close-price"
+              value={closePrice}
+              onChange={(e) => setClosePrice(e.target.value)}
+              placeholder={isRoll ? 'Price the legs were rolled at' : 'Leave blank to keep the trade open'}
+              step="any"
+              required={isRoll}
+            />
+          </div>
+
+          <p className="text-sm text-[#8B949E]">
+            {result.tradeOutcome === 'pending'
+              ? `Pending (${result.status}) until every leg is closed or a close price is entered.`
+              : `${result.tradeOutcome === 'profit' ? 'Profit' : 'Loss'}: ${result.pnlUsd < 0 ? '-' : ''}$${Math.abs(result.pnlUsd).toFixed(2)}${result.pnlCoin !== null ? ` (${result.pnlCoin} ${strategy.underlying_asset || 'coin'})` : ''}${result.roi !== null ? `, ROI ${result.roi.toFixed(2)}%` : ''}${result.feesUsd ? ` after $${result.feesUsd.toFixed(2)} fees (gross ${formatUsd(result.grossPnlUsd)})` : ''}`}
+          </p>
 
           <div className="flex justify-end space-x-3">
             <button
@@ -92,7 +242,7 @@ const TradeOutcomePopup = ({ isOpen, onClose, strategy, onUpdate }) => {
               type="submit"
               className="btn btn-primary px-4 py-2"
             >
-              Update
+              {isRoll ? 'Close & Roll' : 'Update'}
             </button>
           </div>
         </form>
@@ -101,9 +251,13 @@ const TradeOutcomePopup = ({ isOpen, onClose, strategy, onUpdate }) => {
   );
 };
 
-const SavedStrategies = ({ prices, showNative }) => {
+const SavedStrategies = ({ prices, showNative, onRoll, onExercise }) => {
   const [strategies, setStrategies] = useState([]);
   const [editingStrategy, setEditingStrategy] = useState(null);
+  const [isRolling, setIsRolling] = useState(false);
+  const [expandedStrategyId, setExpandedStrategyId] = useState(null);
+  const [editingMarkIvId, setEditingMarkIvId] = useState(null);
+  const [markIvInput, setMarkIvInput] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [initialCapital, setInitialCapital] = useState(0);
@@ -134,14 +288,14 @@ const SavedStrategies = ({ prices, showNative }) => {
     const replacer = (key, value) => (value === null ? '' : value);
     const header = [
       'asset', 'strategy_type', 'open_date', 'close_date', 'legs', 'margin_required', 'asset_price',
-      'max_profit', 'max_loss', 'net_premium', 'trade_outcome', 'pnl', 'roi', 'created_at', 'timestamp'
+      'max_profit', 'max_loss', 'net_premium', 'greeks', 'trade_outcome', 'gross_pnl', 'fees', 'pnl', 'roi', 'venue', 'created_at', 'timestamp'
     ];
     const csv = [
       header.join(','),
       ...strategies.map(row =>
         header.map(fieldName => {
-          if (fieldName === 'legs') {
-            return '"' + JSON.stringify(row.legs) + '"';
+          if (fieldName === 'legs' || fieldName === 'greeks') {
+            return '"' + JSON.stringify(row[fieldName]) + '"';
           }
           return JSON.stringify(row[fieldName], replacer);
         }).join(',')
@@ -206,7 +360,7 @@ const SavedStrategies = ({ prices, showNative }) => {
     let totalPnl = 0;
     strategies.forEach(strategy => {
       if (strategy.trade_outcome !== 'pending') {
-        totalPnl += strategy.pnl || 0;
+        totalPnl += settlementAmountToUsd(strategy, strategy.pnl || 0);
       }
     });
     const initialCapitalValue = parseFloat(initialCapital);
@@ -218,19 +372,58 @@ const SavedStrategies = ({ prices, showNative }) => {
 
   // Calculate user-specific stats from strategies
   const stats = React.useMemo(() => {
-    let totalTrades = 0, wins = 0, losses = 0, totalPnL = 0, totalMarginUsed = 0;
+    let totalTrades = 0, wins = 0, losses = 0, totalPnL = 0, grossPnL = 0, totalFees = 0, totalMarginUsed = 0;
     strategies.forEach(s => {
       totalTrades++;
       if (s.trade_outcome === 'profit') wins++;
       if (s.trade_outcome === 'loss') losses++;
-      if (s.trade_outcome !== 'pending') totalPnL += s.pnl || 0;
-      totalMarginUsed += s.margin_required ? Number(s.margin_required) : 0;
+      if (s.trade_outcome !== 'pending') {
+        // Saved in the settlement asset; added up in USD
+        totalPnL += settlementAmountToUsd(s, s.pnl || 0);
+        // Rows saved before fees were tracked have no gross P&L: their P&L is both
+        grossPnL += settlementAmountToUsd(s, s.gross_pnl ?? s.pnl ?? 0);
+        totalFees += settlementAmountToUsd(s, s.fees || 0);
+      } else {
+        // Partial closes of open strategies are realized too
+        const partialRealizedPnL = getPartialRealizedPnl(s);
+        totalPnL += partialRealizedPnL;
+        grossPnL += partialRealizedPnL;
+      }
+      // Margin is saved in the settlement asset too
+      totalMarginUsed += s.margin_required ? settlementAmountToUsd(s, Number(s.margin_required)) : 0;
     });
     // Net P&L and ROI use initial capital
     const roi = initialCapital && initialCapital !== 0 ? (totalPnL / initialCapital) * 100 : 0;
     const currentCapital = initialCapital + totalPnL;
-    return { totalTrades, wins, losses, totalPnL, totalMarginUsed, roi, currentCapital };
-  }, [strategies, initialCapital]);
+    // Open strategies marked to model, kept out of the realized totals above
+    const { unrealizedPnl: unrealizedPnL } = summarizeUnrealizedPnl(strategies, prices);
+    return { totalTrades, wins, losses, totalPnL, grossPnL, totalFees, totalMarginUsed, roi, currentCapital, unrealizedPnL };
+  }, [strategies, initialCapital, prices]);
+
+  // Saves the volatility an open strategy is marked at; an empty value falls back to the entry IV of its legs
+  const saveMarkIv = async (strategy) => {
+    const value = parseFloat(markIvInput);
+    const markIv = value > 0 ? parseFloat((value / 100).toFixed(4)) : null;
+    setEditingMarkIvId(null);
+    if (markIv === (strategy.mark_iv ?? null)) return;
+    try {
+      const { error } = await supabase
+        .from('strategies')
+        .update({ mark_iv: markIv })
+        .eq('id', strategy.id);
+      if (error) throw error;
+      setStrategies(prev => prev.map(s => (s.id === strategy.id ? { ...s, mark_iv: markIv } : s)));
+    } catch (err) {
+      console.error('Error saving mark volatility:', err);
+      setError('Failed to save the mark volatility');
+    }
+  };
+
+  // Roll chains by chain id, for the chain summary under each chained strategy
+  const rollChains = React.useMemo(
+    () => new Map(buildRollChains(strategies).map(chain => [chain.chainId, chain])),
+    [strategies]
+  );
 
   const formatCurrency = (value) => {
     return new Intl.NumberFormat('en-US', {
@@ -277,6 +470,17 @@ const SavedStrategies = ({ prices, showNative }) => {
             <span className="text-[#8B949E] text-sm">Net P&amp;L:</span>
             <span className={`font-bold text-base ${stats.totalPnL < 0 ? 'text-red-400' : 'text-green-400'}`}>{formatCurrency(stats.totalPnL)}</span>
           </div>
+          <div className="flex items-center gap-2" title="Open strategies marked to model at the current price and their stored or entered IV; not part of Net P&L">
+            <span className="material-icons text-amber-400">pending</span>
+            <span className="text-[#8B949E] text-sm">Unrealized P&amp;L:</span>
+            <span className={`font-bold text-base ${stats.unrealizedPnL < 0 ? 'text-red-400' : 'text-green-400'}`}>{formatCurrency(stats.unrealizedPnL)}</span>
+          </div>
+          <div className="flex items-center gap-2" title="P&L before fees, slippage and funding">
+            <span className="material-icons text-orange-400">receipt</span>
+            <span className="text-[#8B949E] text-sm">Gross P&amp;L:</span>
+            <span className="font-bold text-base">{formatCurrency(stats.grossPnL)}</span>
+            <span className="text-[#8B949E] text-xs">fees {formatCurrency(stats.totalFees)}</span>
+          </div>
           <div className="flex items-center gap-2">
             <span className="material-icons text-purple-400">percent</span>
             <span className="text-[#8B949E] text-sm">Overall ROI:</span>
@@ -350,22 +554,9 @@ const SavedStrategies = ({ prices, showNative }) => {
         <table className="w-full min-w-[1200px]">
           <thead>
             <tr>
-              <th className="table-header px-2">Underlying</th>
-              <th className="table-header px-2">Settlement</th>
-              <th className="table-header px-2">Strat</th>
-              <th className="table-header px-2">Open</th>
-              <th className="table-header px-2">Close</th>
-              <th className="table-header px-2">Legs</th>
-              <th className="table-header px-2 text-right">Contracts</th>
-              <th className="table-header px-2 text-right">Premium</th>
-              <th className="table-header px-2 text-right">Profit</th>
-              <th className="table-header px-2 text-right">Loss</th>
-              <th className="table-header px-2 text-right">Margin</th>
-              <th className="table-header px-2 text-right">Entry</th>
-              <th className="table-header px-2 text-center">Status</th>
-              <th className="table-header px-2 text-right">P&L</th>
-              <th className="table-header px-2 text-right">ROI</th>
-              <th className="table-header px-2 text-center">Actions</th>
+              {COLUMNS.map(column => (
+                <th key={column.label} className={`table-header px-2 ${column.className || ''}`}>{column.label}</th>
+              ))}
             </tr>
           </thead>
           <tbody className="[&>*:nth-child(even)]:bg-gray-850">
@@ -376,65 +567,175 @@ const SavedStrategies = ({ prices, showNative }) => {
               const marginUSD = price * marginNative;
               const roiNative = strategy.roi;
               const roiUSD = roiNative ? ((roiNative / 100) * marginUSD) : 0;
+              const pnl = typeof strategy.pnl === 'number' ? pnlAmounts(strategy) : null;
+              const pnlSign = strategy.trade_outcome === 'loss' ? '-' : '';
               const assetSymbol = strategy.settlement_asset === 'BTC' ? '₿' : strategy.settlement_asset === 'ETH' ? 'Ξ' : strategy.settlement_asset === 'SOL' ? '◎' : '$';
+              const positionStatus = getStrategyStatus(strategy.legs);
+              const chain = strategy.chain_id ? rollChains.get(strategy.chain_id) : null;
+              const mark = markStrategyToMarket(strategy, price);
+              // Open options without an expiry date cannot be marked to model
+              const isUndated = !mark && getOpenStrategyLegs(strategy).some(isUndatedOptionLeg);
               return (
-                <tr key={strategy.id} className="hover:bg-gray-700">
-                  <td className="table-cell py-2 px-2">{strategy.underlying_asset || '-'}</td>
-                  <td className="table-cell py-2 px-2">{strategy.settlement_asset || '-'}</td>
-                  <td className="table-cell py-2 px-2">{strategy.strategy_type}</td>
-                  <td className="table-cell py-2 px-2">{shortDate(strategy.open_date)}</td>
-                  <td className="table-cell py-2 px-2">{shortDate(strategy.close_date)}</td>
-                  <td className="table-cell py-2 px-2">{strategy.legs.length}</td>
-                  <td className="table-cell py-2 px-2 text-right">{strategy.legs.reduce((sum, leg) => sum + parseInt(leg.contracts), 0)}</td>
-                  <td className="table-cell py-2 px-2 text-right">{showNative ? `${assetSymbol}${strategy.net_premium}` : `$${(strategy.net_premium * price).toLocaleString('en-US', { maximumFractionDigits: 2 })}`}</td>
-                  <td className="table-cell py-2 px-2 text-right">{showNative ? `${assetSymbol}${strategy.max_profit}` : `$${(strategy.max_profit * price).toLocaleString('en-US', { maximumFractionDigits: 2 })}`}</td>
-                  <td className="table-cell py-2 px-2 text-right">{showNative ? `${assetSymbol}${Math.abs(strategy.max_loss)}` : `$${(Math.abs(strategy.max_loss) * price).toLocaleString('en-US', { maximumFractionDigits: 2 })}`}</td>
-                  <td className="table-cell py-2 px-2 text-right">{showNative ? `${marginNative} ${strategy.settlement_asset}` : `$${marginUSD.toLocaleString('en-US', { maximumFractionDigits: 2 })}`}</td>
-                  <td className="table-cell py-2 px-2 text-right">{showNative ? `${strategy.asset_price} ${strategy.underlying_asset}` : `$${(strategy.asset_price * price).toLocaleString('en-US', { maximumFractionDigits: 2 })}`}</td>
-                  <td className="table-cell py-2 px-2 text-right">{price ? `$${price.toLocaleString('en-US', { maximumFractionDigits: 2 })}` : '-'}</td>
-                  <td className="table-cell py-2 px-2 text-right">{showNative ? `${roiNative?.toFixed(2)}%` : roiUSD ? roiUSD.toLocaleString('en-US', { style: 'currency', currency: 'USD' }) : '-'}</td>
-                  <td className="table-cell py-2 px-2 text-center">
-                    <span className={`tag ${strategy.trade_outcome === 'profit' ? 'tag-profit' : strategy.trade_outcome === 'loss' ? 'tag-loss' : 'bg-[#30363D] text-[#8B949E]'}`}>
-                      {strategy.trade_outcome.charAt(0).toUpperCase() + strategy.trade_outcome.slice(1)}
-                    </span>
-                  </td>
-                  <td className="table-cell py-2 px-2 text-right">
-                    {strategy.trade_outcome !== 'pending' ? (
-                      <span className={strategy.trade_outcome === 'loss' ? 'text-red-400' : 'text-green-400'}>
-                        {strategy.trade_outcome === 'loss' ? '-' : ''}{showNative ? `${assetSymbol}${Math.abs(strategy.pnl).toFixed(2)}` : `$${(Math.abs(strategy.pnl) * price).toLocaleString('en-US', { maximumFractionDigits: 2 })}`}
-                      </span>
-                    ) : ''}
-                  </td>
-                  <td className="table-cell py-2 px-2 text-right">
-                    {strategy.trade_outcome === 'pending' ? (
-                      <span className="text-[#8B949E]">
-                        Max: {((strategy.max_profit / marginNative) * 100).toFixed(2)}%
+                <React.Fragment key={strategy.id}>
+                  <tr className="hover:bg-gray-700">
+                    <td className="table-cell py-2 px-2">{strategy.underlying_asset || '-'}</td>
+                    <td className="table-cell py-2 px-2">{strategy.settlement_asset || '-'}</td>
+                    <td className="table-cell py-2 px-2">
+                      {strategy.strategy_type}
+                      {chain && (
+                        <span
+                          className="block text-xs text-[#8B949E]"
+                          title="Roll chain: realized P&L of every strategy in the chain, credits collected and days since the chain was opened"
+                        >
+                          {`Roll ${chain.strategies.indexOf(strategy) + 1}/${chain.strategies.length} · ${formatCoin(chain.pnl)} ${chain.settlementAsset || ''} · ${formatUsd(chain.creditsCollected)} credits · ${chain.daysInTrade}d`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="table-cell py-2 px-2">{shortDate(strategy.open_date)}</td>
+                    <td className="table-cell py-2 px-2">{shortDate(strategy.close_date)}</td>
+                    <td className="table-cell py-2 px-2">{strategy.legs.length}</td>
+                    <td className="table-cell py-2 px-2 text-right">{parseFloat(strategy.legs.reduce((sum, leg) => sum + getLegContracts(leg), 0).toFixed(4))}</td>
+                    <td className="table-cell py-2 px-2 text-right">{showNative ? `${assetSymbol}${formatCoin(usdToNative(strategy.net_premium, strategy))}` : formatUsd(strategy.net_premium)}</td>
+                    <td className="table-cell py-2 px-2 text-right">{strategy.max_profit === null ? 'Unlimited' : showNative ? `${assetSymbol}${formatCoin(usdToNative(strategy.max_profit, strategy))}` : formatUsd(strategy.max_profit)}</td>
+                    <td className="table-cell py-2 px-2 text-right">{strategy.max_loss === null ? 'Unlimited' : showNative ? `${assetSymbol}${formatCoin(usdToNative(Math.abs(strategy.max_loss), strategy))}` : formatUsd(Math.abs(strategy.max_loss))}</td>
+                    <td className="table-cell py-2 px-2 text-right">{showNative ? `${marginNative} ${strategy.settlement_asset}` : `$${marginUSD.toLocaleString('en-US', { maximumFractionDigits: 2 })}`}</td>
+                    <td
+                      className="table-cell py-2 px-2 text-right"
+                      title={strategy.greeks?.net ? Object.entries(strategy.greeks.net).map(([greek, value]) => `${greek}: ${value.toPrecision(3)}`).join('\n') : undefined}
+                    >
+                      {strategy.greeks?.net ? strategy.greeks.net.delta.toFixed(2) : '-'}
+                    </td>
+                    <td className="table-cell py-2 px-2 text-right">{showNative ? `${strategy.asset_price} ${strategy.underlying_asset}` : `$${(strategy.asset_price * price).toLocaleString('en-US', { maximumFractionDigits: 2 })}`}</td>
+                    <td className="table-cell py-2 px-2 text-right">{price ? `$${price.toLocaleString('en-US', { maximumFractionDigits: 2 })}` : '-'}</td>
+                    <td className="table-cell py-2 px-2 text-right">{showNative ? `${roiNative?.toFixed(2)}%` : roiUSD ? roiUSD.toLocaleString('en-US', { style: 'currency', currency: 'USD' }) : '-'}</td>
+                    <td className="table-cell py-2 px-2 text-center">
+                      <span className={`tag ${strategy.trade_outcome === 'profit' ? 'tag-profit' : strategy.trade_outcome === 'loss' ? 'tag-loss' : 'bg-[#30363D] text-[#8B949E]'}`}>
+                        {strategy.trade_outcome.charAt(0).toUpperCase() + strategy.trade_outcome.slice(1)}
                       </span>
-                    ) : (
-                      <span className={strategy.trade_outcome === 'loss' ? 'text-red-400' : 'text-green-400'}>
-                        {strategy.trade_outcome === 'loss' ? '-' : ''}{strategyRoiValue ? strategyRoiValue.toFixed(2) : 0}%
-                      </span>
-                    )}
-                  </td>
-                  <td className="table-cell py-2 px-2 text-center">
-                    <div className="flex justify-center space-x-1">
-                      <button
-                        onClick={() => setEditingStrategy(strategy)}
-                        className="btn btn-secondary p-1"
-                        title="Edit outcome"
-                      >
-                        <span className="material-icons text-sm">edit</span>
-                      </button>
-                      <button
-                        onClick={() => handleDeleteStrategy(strategy.id)}
-                        className="btn btn-danger p-1"
-                        title="Delete strategy"
-                      >
-                        <span className="material-icons text-sm">delete</span>
-                      </button>
-                    </div>
-                  </td>
-                </tr>
+                      {strategy.trade_outcome === 'pending' && positionStatus === POSITION_STATUSES.PARTIALLY_CLOSED && (
+                        <span className="block text-xs text-[#8B949E] mt-1">{positionStatus}</span>
+                      )}
+                      {strategy.legs.filter(isExercisedLeg).map(leg => (
+                        <span key={leg.id} className="block text-xs text-[#8B949E] mt-1" title={`Spot lot of ${leg.exercise.quantity} ${strategy.underlying_asset} at ${leg.strike}`}>
+                          {`${leg.exercise.outcome} ${leg.type} ${leg.strike}`}
+                        </span>
+                      ))}
+                    </td>
+                    <td className="table-cell py-2 px-2 text-right">
+                      {strategy.trade_outcome !== 'pending' && pnl ? (
+                        <span
+                          className={strategy.trade_outcome === 'loss' ? 'text-red-400' : 'text-green-400'}
+                          title={`At settlement price ${formatUsd(settlementReferencePrice(strategy))}`}
+                        >
+                          {pnl.usd !== null && <span className="block">{pnlSign}{formatUsd(Math.abs(pnl.usd))}</span>}
+                          {pnl.coin !== null && (
+                            <span className="block text-xs">{pnlSign}{formatCoin(Math.abs(pnl.coin))} {strategy.underlying_asset}</span>
+                          )}
+                          {strategy.fees > 0 && pnl.usd !== null && (
+                            <span className="block text-xs text-[#8B949E]">gross {formatUsd(pnl.usd + settlementAmountToUsd(strategy, strategy.fees))} · fees {formatUsd(settlementAmountToUsd(strategy, strategy.fees))}</span>
+                          )}
+                        </span>
+                      ) : positionStatus !== POSITION_STATUSES.OPEN || mark || isUndated ? (
+                        <span className="text-xs text-[#8B949E]" title="Realized from close fills; unrealized marked to model at the current price">
+                          {positionStatus !== POSITION_STATUSES.OPEN && (
+                            <span className="block">Realized {formatUsd(getPartialRealizedPnl(strategy))}</span>
+                          )}
+                          {isUndated && (
+                            <span className="block" title="Set a close date for the strategy to value its time to expiry">Not marked: no expiry date</span>
+                          )}
+                          {mark && (
+                            <span className="block">
+                              Unrealized <span className={mark.unrealizedPnl < 0 ? 'text-red-400' : 'text-green-400'}>{formatUsd(mark.unrealizedPnl)}</span>
+                            </span>
+                          )}
+                          {mark && (editingMarkIvId === strategy.id ? (
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.1"
+                              autoFocus
+                              value={markIvInput}
+                              placeholder="IV %"
+                              onChange={e => setMarkIvInput(e.target.value)}
+                              onBlur={() => saveMarkIv(strategy)}
+                              onKeyDown={e => {
+                                if (e.key === 'Enter') e.currentTarget.blur();
+                                if (e.key === 'Escape') setEditingMarkIvId(null);
+                              }}
+                              className="w-16 bg-[#23272F] text-gray-200 px-1 rounded border border-[#30363D] text-xs text-right"
+                            />
+                          ) : (
+                            <button
+                              type="button"
+                              className="block ml-auto hover:text-emerald-400"
+                              title="Volatility the open contracts are marked at; click to enter one (empty uses the entry IV)"
+                              onClick={() => {
+                                setEditingMarkIvId(strategy.id);
+                                setMarkIvInput(mark.enteredVolatility ? String(parseFloat((mark.volatility * 100).toFixed(2))) : '');
+                              }}
+                            >
+                              {mark.volatility
+                                ? `@ IV ${(mark.volatility * 100).toFixed(1)}%${mark.enteredVolatility ? '' : ' (entry)'}`
+                                : 'intrinsic · set IV'}
+                            </button>
+                          ))}
+                        </span>
+                      ) : ''}
+                    </td>
+                    <td className="table-cell py-2 px-2 text-right">
+                      {strategy.trade_outcome === 'pending' ? (
+                        <span className="text-[#8B949E]">
+                          Max: {((strategy.max_profit / marginNative) * 100).toFixed(2)}%
+                        </span>
+                      ) : (
+                        <span className={strategy.trade_outcome === 'loss' ? 'text-red-400' : 'text-green-400'}>
+                          {pnlSign}{strategyRoiValue ? Math.abs(strategyRoiValue).toFixed(2) : 0}%
+                        </span>
+                      )}
+                    </td>
+                    <td className="table-cell py-2 px-2 text-center">
+                      <div className="flex justify-center space-x-1">
+                        <button
+                          onClick={() => setExpandedStrategyId(expandedStrategyId === strategy.id ? null : strategy.id)}
+                          className="btn btn-secondary p-1"
+                          title="Fill history"
+                        >
+                          <span className="material-icons text-sm">receipt_long</span>
+                        </button>
+                        <button
+                          onClick={() => { setIsRolling(false); setEditingStrategy(strategy); }}
+                          className="btn btn-secondary p-1"
+                          title="Edit outcome"
+                        >
+                          <span className="material-icons text-sm">edit</span>
+                        </button>
+                        {strategy.trade_outcome === 'pending' && onRoll && (
+                          <button
+                            onClick={() => { setIsRolling(true); setEditingStrategy(strategy); }}
+                            className="btn btn-secondary p-1"
+                            title="Roll: close these legs and open new ones"
+                          >
+                            <span className="material-icons text-sm">autorenew</span>
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDeleteStrategy(strategy.id)}
+                          className="btn btn-danger p-1"
+                          title="Delete strategy"
+                        >
+                          <span className="material-icons text-sm">delete</span>
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                  {expandedStrategyId === strategy.id && (
+                    <tr>
+                      <td colSpan={COLUMN_COUNT} className="table-cell py-2 px-4 bg-[#0D1117]">
+                        <FillHistory strategy={strategy} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               );
             })}
           </tbody>
@@ -442,17 +743,27 @@ const SavedStrategies = ({ prices, showNative }) => {
       </div>
 
       <TradeOutcomePopup
+        key={editingStrategy?.id ?? 'closed'}
         isOpen={!!editingStrategy}
+        isRoll={isRolling}
         onClose={() => setEditingStrategy(null)}
         strategy={editingStrategy || {}}
-        onUpdate={async (id, updatedStrategy) => {
+        onUpdate={async (id, updatedStrategy, spotLots) => {
           // Update strategy in Supabase and reload
           try {
-            await supabase
+            const { error } = await supabase
               .from('strategies')
               .update(updatedStrategy)
               .eq('id', id);
+            if (error) {
+              console.error('Error updating strategy:', error);
+              setError('Failed to update strategy');
+              return;
+            }
             loadStrategies();
+            // The new legs of a roll are entered in the strategy form
+            if (isRolling && onRoll) onRoll(updatedStrategy);
+            if (spotLots.length > 0 && onExercise) onExercise(spotLots);
           } catch (err) {
             setError('Failed to update strategy');
           }
@@ -0,0 +1,91 @@
+import React, { useMemo, useState } from 'react';
+import { buildScenarioGrid } from '../utils/scenarioGrid';
+
+// Volatility shifts offered for the whole grid, in vol points
+const IV_SHIFTS = [-20, -10, -5, 0, 5, 10, 20];
+
+/**
+ * Background colour of a P&L cell: green for profits, red for losses, stronger further from zero.
+ * @param {number} pnl - The cell P&L.
+ * @param {number} maxAbsPnl - The largest absolute P&L of the grid.
+ * @returns {string} An rgba colour.
+ */
+const heatmapColor = (pnl, maxAbsPnl) => {
+  const intensity = maxAbsPnl > 0 ? Math.min(1, Math.abs(pnl) / maxAbsPnl) : 0;
+  const alpha = (0.08 + intensity * 0.5).toFixed(2);
+  return pnl >= 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+/**
+ * What-if table of the theoretical P&L across underlying price moves and dates up to expiry.
+ * @param {object} props
+ * @param {Array<import('./Leg').LegValues>} props.legs - The strategy legs.
+ * @param {number} props.assetPrice - The underlying price the moves apply to.
+ * @param {{volatility: number, rate: number, model: string}} props.pricingParams - The pricing inputs of the form.
+ * @returns {JSX.Element | null}
+ */
+const ScenarioGrid = ({ legs, assetPrice, pricingParams }) => {
+  const [ivShift, setIvShift] = useState(0);
+  const grid = useMemo(
+    () => buildScenarioGrid(legs, assetPrice, { ...pricingParams, ivShift }),
+    [legs, assetPrice, pricingParams, ivShift]
+  );
+
+  if (!grid) return null;
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-[#C9D1D9]">Scenario Grid</h3>
+        <label htmlFor="iv-shift" className="flex items-center text-xs text-[#8B949E]">
+          IV shift
+          <select
+            id="iv-shift"
+            value={ivShift}
+            onChange={e => setIvShift(Number(e.target.value))}
+            className="ml-2 bg-[#23272F] text-gray-200 px-2 py-1 rounded border border-[#30363D] text-xs"
+          >
+            {IV_SHIFTS.map(shift => (
+              <option key={shift} value={shift}>{shift > 0 ? `+${shift}` : shift} pts</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr>
+              <th className="table-header px-2 text-left">Price</th>
+              {grid.columns.map(column => (
+                <th key={column.days} className="table-header px-2 text-right" title={column.date.toLocaleDateString()}>
+                  {column.isExpiry ? 'Expiry' : column.days === 0 ? 'Today' : `T+${column.days}`}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.rows.map(row => (
+              <tr key={row.move}>
+                <td className="table-cell py-1 px-2 whitespace-nowrap">
+                  {row.move > 0 ? '+' : ''}{(row.move * 100).toFixed(0)}%
+                  <span className="text-[#8B949E] ml-1">${row.price.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+                </td>
+                {row.pnl.map((pnl, index) => (
+                  <td
+                    key={grid.columns[index].days}
+                    className="table-cell py-1 px-2 text-right"
+                    style={{ backgroundColor: heatmapColor(pnl, grid.maxAbsPnl) }}
+                  >
+                    {pnl < 0 ? '-' : ''}${Math.abs(pnl).toLocaleString('en-US', { maximumFractionDigits: 0 })}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioGrid;
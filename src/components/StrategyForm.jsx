@@ -1,35 +1,83 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { supabase } from '../services/supabase';
 import Select from './Select';
 import Input from './Input';
 import DatePicker from './DatePicker';
 import Leg from './Leg';
-import { calculateStrategyMetrics } from '../utils/strategyCalculations';
+import ScenarioGrid from './ScenarioGrid';
+import MonteCarloPanel from './MonteCarloPanel';
+import { calculateStrategyMetrics, calculateTradeResult, toSettlementAmount } from '../utils/strategyCalculations';
+import { PRICING_MODELS, calculateLegImpliedVolatility, getFrontExpiry, hasMixedExpiries, yearsUntil } from '../utils/pricing';
 import { initChart, updatePayoffChart } from '../utils/chartUtils';
+import { calculateSettlementPnl } from '../utils/payoffEngine';
+import { createLeg, flipLegAction, getDefaultMultiplier, getLegLabel, isOptionLeg, moveItem } from '../utils/legUtils';
+import { applyFillsToLeg } from '../utils/fillUtils';
+import { MARGIN_METHODS, estimateMargin } from '../utils/marginEstimator';
+import { DEFAULT_VENUE, FEE_SCHEDULES, LIQUIDITY, calculateStrategyFees, getFeeSchedule } from '../utils/feeSchedules';
 import { storageService } from '../services/storageService';
 
 /**
  * @typedef {object} StrategyMetrics
  * @property {number} netPremium - The net premium received or paid.
+ * @property {number} entryFees - Fees and slippage on the fills so far, from the fee schedule.
+ * @property {number} netPremiumAfterFees - The net premium less the entry fees.
  * @property {number | 'Unlimited'} maxProfit - The maximum potential profit.
  * @property {number | 'Unlimited'} maxLoss - The maximum potential loss.
  * @property {number[]} breakevens - An array of breakeven points.
- * @property {string} probProfit - The probability of profit (as a percentage, or 'N/A').
+ * @property {number | 'N/A'} probProfit - The probability of profit at expiry (as a percentage, or 'N/A' without volatility and expiry).
+ * @property {number | 'N/A'} probMaxProfit - The probability of finishing at max profit (as a percentage, or 'N/A').
+ * @property {Array<{price: number, probability: number}>} probTouch - The probability of touching each breakeven before expiry (as a percentage).
  * @property {number} roi - The Return on Investment (as a percentage).
+ * @property {number | null} theoreticalValue - The model value of the position today (null without volatility and expiry).
+ * @property {number | null} theoreticalPnl - The model profit or loss of the position today versus the entry premiums.
+ * @property {import('../utils/pricing').Greeks | null} greeks - The aggregate Greeks of the position (null without volatility and expiry).
+ * @property {import('../utils/pricing').Greeks[]} legGreeks - The Greeks of each leg, in leg order.
  * @property {string} strategyName - The detected name of the strategy.
  * @property {string} strategyType - The detected type of the strategy (e.g., 'Vertical Spread', 'Condor').
  * @property {string} direction - The direction of the strategy ('Long' or 'Short').
  * @property {boolean} isCredit - True if the strategy is a credit strategy.
  * @property {boolean} isReverse - True if the strategy is a reverse version.
  * @property {string} optionType - The type of options used ('Calls', 'Puts', or 'Mixed').
+ * @property {number} strategyConfidence - How well the legs match the detected strategy, between 0 and 1.
+ * @property {import('../utils/strategyDetection').StrategyAlternative[]} strategyAlternatives - Other names the legs also match, best first.
  */
 
+const GREEK_COLUMNS = [
+  { key: 'delta', label: 'Delta' },
+  { key: 'gamma', label: 'Gamma' },
+  { key: 'theta', label: 'Theta/day' },
+  { key: 'vega', label: 'Vega/1%' },
+  { key: 'rho', label: 'Rho/1%' },
+];
+
+// Gamma on BTC-sized strikes is tiny, so show significant digits rather than fixed decimals
+const formatGreek = (value) => {
+  if (!value) return '0.00';
+  return Math.abs(value) >= 1 ? value.toFixed(2) : value.toPrecision(3);
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Editable fee schedule fields; rates are entered as percentages
+const FEE_FIELDS = [
+  { group: 'option', key: 'maker', label: 'Option maker (% of underlying)', percent: true },
+  { group: 'option', key: 'taker', label: 'Option taker (% of underlying)', percent: true },
+  { group: 'option', key: 'premiumCap', label: 'Cap (% of premium)', percent: true },
+  { group: 'option', key: 'perContract', label: 'Per contract ($)', percent: false },
+  { group: 'option', key: 'delivery', label: 'Delivery (% of underlying)', percent: true },
+  { group: 'option', key: 'deliveryCap', label: 'Delivery cap (% of value)', percent: true },
+  { group: 'linear', key: 'maker', label: 'Spot/perp maker (%)', percent: true },
+  { group: 'linear', key: 'taker', label: 'Spot/perp taker (%)', percent: true },
+  { group: null, key: 'slippage', label: 'Slippage (% of price)', percent: true },
+];
+
 /**
  * The main component for the Option Strategy Tracker form.
  * Manages the state of the option legs, calculates strategy metrics, and updates the payoff chart.
+ * A roll draft (see utils/rollChains) prefills the form with the legs replacing a rolled strategy.
  * @returns {JSX.Element}
  */
-const StrategyForm = ({ capital, onStrategySaved }) => {
+const StrategyForm = ({ capital, onStrategySaved, rollDraft, onRollDraftApplied }) => {
   const [user, setUser] = useState(null);
   useEffect(() => {
     const getUser = async () => {
@@ -46,38 +94,84 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
   }, []);
   const chartRef = useRef(null);
   const chartInstanceRef = useRef(null);
-  const [legs, setLegs] = useState([{ id: 1 }]);
-  const [legData, setLegData] = useState({ 1: { action: 'Sell', type: 'Call', strike: '', premium: '', contracts: 1 } });
+  // Legs are kept in display order; ids come from a counter so they are never reused
+  const [legs, setLegs] = useState([createLeg(1, { action: 'Sell' })]);
+  const nextLegIdRef = useRef(2);
   const [strategyName, setStrategyName] = useState(''); // Changed from strategyType
-  const [tradeOutcome, setTradeOutcome] = useState('pending');
   const [underlyingAsset, setUnderlyingAsset] = useState('');
+  const [contractMultiplier, setContractMultiplier] = useState('1');
   const [settlementAsset, setSettlementAsset] = useState('');
   const [assetPrice, setAssetPrice] = useState('');
+  const [openDate, setOpenDate] = useState('');
+  const [settlementPrice, setSettlementPrice] = useState('');
   const [marginRequired, setMarginRequired] = useState('');
+  // The margin follows the estimate until the user types their own
+  const [marginOverridden, setMarginOverridden] = useState(false);
+  const [impliedVol, setImpliedVol] = useState('');
+  const [riskFreeRate, setRiskFreeRate] = useState('');
+  const [pricingModel, setPricingModel] = useState(PRICING_MODELS.BLACK_76);
+  const [curveDayOffset, setCurveDayOffset] = useState(0);
+  // Venue fee schedule applied to every entry and exit, and funding paid on perpetual legs
+  const [venue, setVenue] = useState(DEFAULT_VENUE);
+  const [feeSchedule, setFeeSchedule] = useState(() => getFeeSchedule(DEFAULT_VENUE));
+  const [liquidity, setLiquidity] = useState(LIQUIDITY.TAKER);
+  const [funding, setFunding] = useState('');
+  const [showFeeSchedule, setShowFeeSchedule] = useState(false);
+  // Chain and predecessor of the strategy being entered when it rolls a saved one
+  const [rollLink, setRollLink] = useState(null);
   const [metrics, setMetrics] = useState({
     netPremium: 0,
+    entryFees: 0,
+    netPremiumAfterFees: 0,
     maxProfit: 0,
     maxLoss: 0,
     breakevens: [],
     probProfit: 'N/A',
+    probMaxProfit: 'N/A',
+    probTouch: [],
     roi: 0,
+    theoreticalValue: null,
+    theoreticalPnl: null,
+    greeks: null,
+    legGreeks: [],
     strategyName: 'N/A',
     strategyType: 'N/A',
     direction: 'N/A',
     isCredit: false,
     isReverse: false,
     optionType: 'N/A',
+    strategyConfidence: 0,
+    strategyAlternatives: [],
   });
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const initialCapitalValue = parseFloat(localStorage.getItem('initialCapital') || 0);
 
+  // Every leg of a strategy shares the underlying's contract multiplier; legs with fills take their
+  // contracts and entry premium from them. Option legs carry the volatility their premium implies
+  // at the entry price, on the open date for trades entered after the fact
+  const strategyLegs = useMemo(() => {
+    const multiplier = parseFloat(contractMultiplier) > 0 ? parseFloat(contractMultiplier) : 1;
+    const entryPrice = parseFloat(assetPrice);
+    const ivParams = {
+      rate: (parseFloat(riskFreeRate) || 0) / 100,
+      model: pricingModel,
+      valuationDate: openDate && openDate < new Date().toISOString().slice(0, 10) ? new Date(`${openDate}T00:00:00Z`) : undefined,
+    };
+    return legs.map(leg => {
+      const syncedLeg = applyFillsToLeg({ ...leg, multiplier });
+      if (!isOptionLeg(syncedLeg)) return syncedLeg;
+      const entryIv = entryPrice > 0 ? calculateLegImpliedVolatility(syncedLeg, entryPrice, ivParams) : null;
+      return { ...syncedLeg, entryIv: entryIv === null ? null : parseFloat(entryIv.toFixed(4)) };
+    });
+  }, [legs, contractMultiplier, assetPrice, riskFreeRate, pricingModel, openDate]);
+
   const calculateMetrics = () => {
     // Ensure there's at least one leg to calculate metrics for
-    if (Object.keys(legData).length === 0) {
+    if (legs.length === 0) {
       setMetrics({
-        netPremium: 0, maxProfit: 0, maxLoss: 0, breakevens: [], probProfit: 'N/A', roi: 0,
-        strategyName: 'N/A', strategyType: 'N/A', direction: 'N/A', isCredit: false, isReverse: false, optionType: 'N/A',
+        netPremium: 0, entryFees: 0, netPremiumAfterFees: 0, maxProfit: 0, maxLoss: 0, breakevens: [], probProfit: 'N/A', probMaxProfit: 'N/A', probTouch: [], roi: 0, theoreticalValue: null, theoreticalPnl: null, greeks: null, legGreeks: [],
+        strategyName: 'N/A', strategyType: 'N/A', direction: 'N/A', isCredit: false, isReverse: false, optionType: 'N/A', strategyConfidence: 0, strategyAlternatives: [],
       });
       setStrategyName('N/A');
       return;
@@ -85,16 +179,48 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
 
     const currentAssetPrice = parseFloat(assetPrice);
     const currentMarginRequired = parseFloat(marginRequired);
+    const currentVolatility = parseFloat(impliedVol) / 100;
+    const frontExpiry = getFrontExpiry(strategyLegs);
 
     const newMetrics = calculateStrategyMetrics(
-      Object.values(legData),
+      strategyLegs,
       isNaN(currentAssetPrice) ? undefined : currentAssetPrice,
       isNaN(currentMarginRequired) ? undefined : currentMarginRequired,
+      frontExpiry && currentVolatility > 0 ? {
+        volatility: currentVolatility,
+        rate: (parseFloat(riskFreeRate) || 0) / 100,
+        time: yearsUntil(frontExpiry),
+        model: pricingModel,
+      } : undefined,
+      { schedule: feeSchedule, liquidity },
     );
     setMetrics(newMetrics);
     setStrategyName(newMetrics.strategyName);
   };
 
+  /**
+   * Effect hook to prefill the form from a rolled strategy.
+   */
+  useEffect(() => {
+    if (!rollDraft) return;
+    setLegs(rollDraft.legs.map(leg => ({ ...leg, id: nextLegIdRef.current++ })));
+    setUnderlyingAsset(rollDraft.underlyingAsset);
+    setContractMultiplier(String(rollDraft.multiplier || getDefaultMultiplier(rollDraft.underlyingAsset)));
+    setSettlementAsset(rollDraft.settlementAsset);
+    setAssetPrice(rollDraft.assetPrice ? String(rollDraft.assetPrice) : '');
+    setMarginRequired(rollDraft.marginRequired ? String(rollDraft.marginRequired) : '');
+    // A margin carried over from the rolled strategy is kept rather than replaced by the estimate
+    setMarginOverridden(!!rollDraft.marginRequired);
+    setSettlementPrice('');
+    if (rollDraft.venue) {
+      setVenue(rollDraft.venue);
+      setFeeSchedule(rollDraft.feeSchedule || getFeeSchedule(rollDraft.venue));
+      setLiquidity(rollDraft.liquidity || LIQUIDITY.TAKER);
+    }
+    setRollLink({ chainId: rollDraft.chainId, rolledFrom: rollDraft.rolledFrom });
+    if (onRollDraftApplied) onRollDraftApplied();
+  }, [rollDraft, onRollDraftApplied]);
+
   /**
    * Effect hook to initialize the chart when the component mounts.
    */
@@ -108,21 +234,110 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
    * Effect hook to update the chart whenever leg data or metrics change.
    */
   useEffect(() => {
-    if (Object.keys(legData).length > 0) {
+    if (legs.length > 0) {
       calculateMetrics();
     }
-  }, [legData, assetPrice, marginRequired]);
+  }, [strategyLegs, assetPrice, marginRequired, impliedVol, riskFreeRate, pricingModel, feeSchedule, liquidity]);
 
   useEffect(() => {
     // Update chart when metrics change
     if (chartInstanceRef.current && assetPrice) {
+      const volatility = parseFloat(impliedVol) / 100;
+      const frontExpiry = getFrontExpiry(strategyLegs);
       updatePayoffChart(
         chartInstanceRef.current,
-        Object.values(legData),
-        assetPrice
+        strategyLegs,
+        assetPrice,
+        frontExpiry && volatility > 0 ? {
+          volatility,
+          rate: (parseFloat(riskFreeRate) || 0) / 100,
+          model: pricingModel,
+          expiry: frontExpiry,
+          valuationDate: new Date(Date.now() + curveDayOffset * MS_PER_DAY),
+        } : undefined
       );
     }
-  }, [metrics, assetPrice]);
+  }, [metrics, strategyLegs, assetPrice, impliedVol, riskFreeRate, pricingModel, curveDayOffset]);
+
+  // The T+0 curve can be moved forward to any day before the front expiry
+  const frontExpiry = getFrontExpiry(strategyLegs);
+  const isMixedExpiry = hasMixedExpiries(strategyLegs);
+  const daysToExpiry = Math.floor(yearsUntil(frontExpiry) * 365);
+  const showTimeCurves = !!frontExpiry && parseFloat(impliedVol) > 0 && daysToExpiry > 0;
+
+  // Pricing inputs of the scenario grid, stable between renders so the grid is only rebuilt when they change
+  const scenarioPricingParams = useMemo(() => ({
+    volatility: parseFloat(impliedVol) / 100,
+    rate: (parseFloat(riskFreeRate) || 0) / 100,
+    model: pricingModel,
+  }), [impliedVol, riskFreeRate, pricingModel]);
+
+  // P&L at the settlement price (the entry price until one is entered), in USD and in the coin
+  const effectiveSettlementPrice = parseFloat(settlementPrice) || parseFloat(assetPrice) || 0;
+  const settlementPnl = useMemo(() => {
+    if (!(effectiveSettlementPrice > 0)) return null;
+    const volatility = parseFloat(impliedVol) / 100;
+    return calculateSettlementPnl(
+      strategyLegs,
+      effectiveSettlementPrice,
+      volatility > 0 ? { volatility, rate: (parseFloat(riskFreeRate) || 0) / 100, model: pricingModel } : undefined,
+    );
+  }, [strategyLegs, effectiveSettlementPrice, impliedVol, riskFreeRate, pricingModel]);
+
+  // Initial and maintenance margin of the legs, prefilled in the settlement asset
+  const isCoinSettled = !!settlementAsset && settlementAsset !== 'USD';
+  const marginEstimate = useMemo(() => estimateMargin(strategyLegs, parseFloat(assetPrice)), [strategyLegs, assetPrice]);
+  const estimatedMargin = marginEstimate ? (isCoinSettled ? marginEstimate.initialCoin : marginEstimate.initial) : null;
+
+  useEffect(() => {
+    if (marginOverridden || estimatedMargin === null) return;
+    setMarginRequired(estimatedMargin > 0 ? String(estimatedMargin) : '');
+  }, [estimatedMargin, marginOverridden]);
+
+  // Fees on entry and exit, delivery fees at settlement, slippage and funding
+  const strategyFees = useMemo(
+    () => calculateStrategyFees(strategyLegs, {
+      schedule: feeSchedule,
+      liquidity,
+      entryPrice: parseFloat(assetPrice),
+      closePrice: parseFloat(settlementPrice),
+      funding,
+    }),
+    [strategyLegs, feeSchedule, liquidity, assetPrice, settlementPrice, funding],
+  );
+
+  // Realized P&L, ROI and outcome follow from the exit prices once the strategy has a close price
+  const tradeResult = useMemo(
+    () => calculateTradeResult(strategyLegs, parseFloat(settlementPrice), settlementAsset, parseFloat(marginRequired), parseFloat(assetPrice), strategyFees),
+    [strategyLegs, settlementPrice, settlementAsset, marginRequired, assetPrice, strategyFees],
+  );
+
+  /**
+   * Switches the venue and loads its default fee schedule.
+   * @param {string} newVenue - A key of FEE_SCHEDULES.
+   */
+  const handleVenueChange = (newVenue) => {
+    setVenue(newVenue);
+    setFeeSchedule(getFeeSchedule(newVenue));
+  };
+
+  /**
+   * Updates one rate of the fee schedule.
+   * @param {{group: string | null, key: string, percent: boolean}} field - The FEE_FIELDS entry.
+   * @param {string} value - The value typed in.
+   */
+  const handleFeeFieldChange = (field, value) => {
+    const rate = (parseFloat(value) || 0) / (field.percent ? 100 : 1);
+    setFeeSchedule(prev => (field.group
+      ? { ...prev, [field.group]: { ...prev[field.group], [field.key]: rate } }
+      : { ...prev, [field.key]: rate }));
+  };
+
+  useEffect(() => {
+    if (curveDayOffset > daysToExpiry) {
+      setCurveDayOffset(Math.max(0, daysToExpiry));
+    }
+  }, [curveDayOffset, daysToExpiry]);
 
   /**
    * Handles changes to the asset price input.
@@ -135,6 +350,7 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
 
   const handleMarginRequiredChange = (e) => {
     setMarginRequired(e.target.value);
+    setMarginOverridden(e.target.value !== '');
   };
 
   /**
@@ -144,24 +360,49 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
    * @param {import('./Leg').LegValues} values - The new values for the leg.
    */
   const handleLegChange = (id, values) => {
-    setLegData(prev => ({
-      ...prev,
-      [id]: values
-    }));
+    setLegs(prev => prev.map(leg => (leg.id === id ? { ...values, id } : leg)));
   };
 
   /**
-   * Adds a new leg to the strategy, up to a maximum of 4 legs.
+   * Adds a new leg at the end of the strategy.
    */
   const addLeg = () => {
-    if (legs.length < 4) {
-      const newId = legs.length + 1; // Use the current length for leg numbering
-      setLegs([...legs, { id: newId }]);
-      setLegData(prev => ({
-        ...prev,
-        [newId]: { action: 'Buy', type: 'Call', strike: '', premium: '', contracts: 1 }
-      }));
-    }
+    const id = nextLegIdRef.current++;
+    setLegs(prev => {
+      // New legs start on the previous leg's expiry, most structures share one date
+      const expiry = prev.length > 0 ? prev[prev.length - 1].expiry || '' : '';
+      return [...prev, createLeg(id, { expiry })];
+    });
+  };
+
+  /**
+   * Inserts a copy of a leg directly below it.
+   * @param {string | number} legId - The ID of the leg to copy.
+   */
+  const duplicateLeg = (legId) => {
+    const id = nextLegIdRef.current++;
+    setLegs(prev => {
+      const index = prev.findIndex(leg => leg.id === legId);
+      if (index === -1) return prev;
+      return [...prev.slice(0, index + 1), { ...prev[index], id }, ...prev.slice(index + 1)];
+    });
+  };
+
+  /**
+   * Switches a leg between Buy and Sell.
+   * @param {string | number} legId - The ID of the leg to flip.
+   */
+  const flipLeg = (legId) => {
+    setLegs(prev => prev.map(leg => (leg.id === legId ? flipLegAction(leg) : leg)));
+  };
+
+  /**
+   * Moves a leg one position up or down.
+   * @param {number} index - The current position of the leg.
+   * @param {number} offset - -1 to move up, 1 to move down.
+   */
+  const moveLeg = (index, offset) => {
+    setLegs(prev => moveItem(prev, index, index + offset));
   };
 
   /**
@@ -169,42 +410,53 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
    * @param {string | number} legId - The ID of the leg to remove.
    */
   const removeLeg = (legId) => {
-    const updatedLegs = legs.filter(leg => leg.id !== legId);
-    const updatedLegData = { ...legData };
-    delete updatedLegData[legId];
-
-      if (updatedLegs.length === 0) {
-        // If all legs are removed, keep the button visible
-        setLegs([{ id: 1 }]);
-        setLegData({ 1: { action: 'Sell', type: 'Call', strike: '', premium: '', contracts: 1 } });
-    } else {
-      setLegs(updatedLegs);
-      setLegData(updatedLegData);
-    }
+    setLegs(prev => {
+      const updatedLegs = prev.filter(leg => leg.id !== legId);
+      // Always keep one leg so the form stays usable
+      return updatedLegs.length > 0 ? updatedLegs : [createLeg(nextLegIdRef.current++, { action: 'Sell' })];
+    });
   };
 
   const resetForm = () => {
-    setLegs([{ id: 1 }]);
-    setLegData({ 1: { action: 'Sell', type: 'Call', strike: '', premium: '', contracts: 1 } });
+    setLegs([createLeg(nextLegIdRef.current++, { action: 'Sell' })]);
     setStrategyName(''); // Reset strategyName
-    setTradeOutcome('pending');
     setUnderlyingAsset('');
+    setContractMultiplier('1');
     setSettlementAsset('');
     setAssetPrice('');
+    setOpenDate('');
+    setSettlementPrice('');
     setMarginRequired('');
+    setMarginOverridden(false);
+    setImpliedVol('');
+    setRiskFreeRate('');
+    setPricingModel(PRICING_MODELS.BLACK_76);
+    setCurveDayOffset(0);
+    setFunding('');
+    setRollLink(null);
     setMetrics({
       netPremium: 0,
+      entryFees: 0,
+      netPremiumAfterFees: 0,
       maxProfit: 0,
       maxLoss: 0,
       breakevens: [],
       probProfit: 'N/A',
+      probMaxProfit: 'N/A',
+      probTouch: [],
       roi: 0,
+      theoreticalValue: null,
+      theoreticalPnl: null,
+      greeks: null,
+      legGreeks: [],
       strategyName: 'N/A',
       strategyType: 'N/A',
       direction: 'N/A',
       isCredit: false,
       isReverse: false,
       optionType: 'N/A',
+      strategyConfidence: 0,
+      strategyAlternatives: [],
     });
     setError(null);
   };
@@ -218,7 +470,6 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
     try {
       setSaving(true);
       setError(null);
-      const pnl = tradeOutcome !== 'pending' ? parseFloat(e.target['pnl-amount']?.value) : null;
       // Validate required fields
       if (!assetPrice) {
         throw new Error('Asset price is required');
@@ -227,9 +478,10 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
         throw new Error('Margin required is required');
       }
       // Ensure all legs have required fields
-      Object.values(legData).forEach((leg, index) => {
-        if (!leg.strike || !leg.premium) {
-          throw new Error(`Leg ${index + 1} is missing required fields`);
+      strategyLegs.forEach((leg, index) => {
+        const hasRequiredFields = isOptionLeg(leg) ? leg.strike && leg.premium : leg.entryPrice;
+        if (!hasRequiredFields) {
+          throw new Error(`Leg ${getLegLabel(index)} is missing required fields`);
         }
       });
       const formData = {
@@ -238,15 +490,26 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
         open_date: e.target['open-date'].value,
         close_date: e.target['close-date'].value || null,
         strategy_type: metrics.strategyName,
-        legs: Object.values(legData),
+        legs: strategyLegs,
         margin_required: parseFloat(marginRequired),
         asset_price: parseFloat(assetPrice),
+        settlement_price: parseFloat(settlementPrice) || null,
         max_profit: metrics.maxProfit === 'Unlimited' ? null : metrics.maxProfit,
         max_loss: metrics.maxLoss === 'Unlimited' ? null : metrics.maxLoss,
         net_premium: metrics.netPremium,
-        trade_outcome: tradeOutcome,
-        pnl: tradeOutcome === 'loss' ? -pnl : pnl,
-        roi: pnl ? (pnl / parseFloat(marginRequired)) * 100 : null,
+        greeks: metrics.greeks ? { net: metrics.greeks, legs: metrics.legGreeks } : null,
+        trade_outcome: tradeResult.tradeOutcome,
+        status: tradeResult.status,
+        chain_id: rollLink?.chainId ?? null,
+        rolled_from: rollLink?.rolledFrom ?? null,
+        pnl: tradeResult.pnl,
+        gross_pnl: tradeResult.grossPnl,
+        fees: toSettlementAmount(strategyFees.total, settlementAsset, parseFloat(settlementPrice) || parseFloat(assetPrice)),
+        venue,
+        fee_schedule: feeSchedule,
+        liquidity,
+        funding: parseFloat(funding) || 0,
+        roi: tradeResult.roi,
         created_at: new Date().toISOString(),
         timestamp: Date.now()
       };
@@ -281,6 +544,14 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
             <span className="material-icons mr-2">analytics</span>
             Strategy Builder
           </h2>
+          {rollLink && (
+            <div className="mb-4 p-3 bg-blue-900/30 border border-blue-700 rounded text-blue-300 text-sm flex items-center justify-between">
+              <span>Rolling a closed strategy: enter the premiums and expiry of the new legs.</span>
+              <button type="button" onClick={() => setRollLink(null)} className="text-xs underline">
+                Not a roll
+              </button>
+            </div>
+          )}
           <div className="space-y-6">
             {/* Underlying Asset Selection */}
             <div className="border-b border-gray-700 pb-4">
@@ -289,7 +560,10 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
                 id="underlying-asset"
                 name="underlying-asset"
                 value={underlyingAsset}
-                onChange={e => setUnderlyingAsset(e.target.value)}
+                onChange={e => {
+                  setUnderlyingAsset(e.target.value);
+                  setContractMultiplier(String(getDefaultMultiplier(e.target.value)));
+                }}
                 required
               >
                 <option value="">Select Asset</option>
@@ -297,6 +571,17 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
                   <option key={idx} value={a}>{a}</option>
                 ))}
               </Select>
+              <label htmlFor="contract-multiplier" className="block text-xs font-medium mt-3 mb-1 text-[#8B949E]">
+                Contract Multiplier ({underlyingAsset || 'units'} per contract)
+              </label>
+              <Input
+                type="number"
+                id="contract-multiplier"
+                min="0"
+                step="any"
+                value={contractMultiplier}
+                onChange={e => setContractMultiplier(e.target.value)}
+              />
             </div>
             {/* Settlement Asset Selection */}
             <div className="border-b border-gray-700 pb-4">
@@ -324,7 +609,7 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
                 >
                   Open Date
                 </label>
-                <DatePicker id="open-date" aria-label="Open Date" required />
+                <DatePicker id="open-date" aria-label="Open Date" value={openDate} onChange={e => setOpenDate(e.target.value)} required />
               </div>
               <div>
                 <label
@@ -353,18 +638,33 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
                 className="bg-[#21262D] cursor-not-allowed"
                 value={metrics.strategyName} // Bind value to metrics.strategyName
               />
+              {metrics.strategyType !== 'Custom' && metrics.strategyType !== 'N/A' && (
+                <p className="mt-2 text-xs text-[#8B949E]">
+                  Match confidence: {Math.round(metrics.strategyConfidence * 100)}%
+                  {metrics.strategyAlternatives.length > 0 && (
+                    <> · Also known as / could be: {metrics.strategyAlternatives.map(alt => alt.name).join(', ')}</>
+                  )}
+                </p>
+              )}
             </div>
 
             {/* Legs */}
             <div className="space-y-4 border-b border-gray-700 pb-4">
-              {Object.entries(legData).map(([id, values], index) => (
+              {legs.map((leg, index) => (
                 <Leg
-                  key={id}
-                  id={id}
-                  isFirst={index === 0}
-                  onDelete={() => removeLeg(id)}
+                  key={leg.id}
+                  id={leg.id}
+                  label={getLegLabel(index)}
+                  canDelete={legs.length > 1}
+                  onDelete={() => removeLeg(leg.id)}
+                  onDuplicate={() => duplicateLeg(leg.id)}
+                  onFlip={() => flipLeg(leg.id)}
+                  onMoveUp={index > 0 ? () => moveLeg(index, -1) : undefined}
+                  onMoveDown={index < legs.length - 1 ? () => moveLeg(index, 1) : undefined}
                   onChange={handleLegChange}
-                  values={values}
+                  values={leg}
+                  impliedVol={strategyLegs[index].entryIv}
+                  underlyingAsset={underlyingAsset}
                 />
               ))}
 
@@ -372,12 +672,7 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
               <button
                 type="button"
                 onClick={addLeg}
-                disabled={legs.length >= 4} // Disable if 4 or more legs
-                className={`inline-flex items-center space-x-2 px-4 py-2 bg-[#21262D] text-[#C9D1D9] rounded-lg border border-[#30363D] transition-colors w-full justify-center ${
-                  legs.length >= 4
-                    ? "opacity-50 cursor-not-allowed"
-                    : "hover:bg-[#30363D]"
-                }`}
+                className="inline-flex items-center space-x-2 px-4 py-2 bg-[#21262D] text-[#C9D1D9] rounded-lg border border-[#30363D] transition-colors w-full justify-center hover:bg-[#30363D]"
               >
                 <span className="material-icons text-base">add_circle_outline</span>
                 <span>Add Another Leg</span>
@@ -397,6 +692,18 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
                   value={marginRequired}
                   onChange={handleMarginRequiredChange}
                 />
+                {marginEstimate && (
+                  <p className="mt-2 text-xs text-[#8B949E]">
+                    {`Estimated ${marginEstimate.method === MARGIN_METHODS.SPREAD ? 'spread margin (width less credit)' : 'standard margin'}: ${isCoinSettled
+                      ? `initial ${marginEstimate.initialCoin} ${settlementAsset}, maintenance ${marginEstimate.maintenanceCoin} ${settlementAsset}`
+                      : `initial $${marginEstimate.initial.toLocaleString('en-US')}, maintenance $${marginEstimate.maintenance.toLocaleString('en-US')}`}`}
+                    {marginOverridden && (
+                      <button type="button" onClick={() => setMarginOverridden(false)} className="ml-2 underline">
+                        Use estimate
+                      </button>
+                    )}
+                  </p>
+                )}
               </div>
               <div>
                 <label htmlFor="asset-price" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
@@ -412,43 +719,152 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
               </div>
             </div>
 
-            {/* Trade Outcome */}
+            {/* Fees */}
             <div className="space-y-4 border-b border-gray-700 pb-4">
-              <div>
-                <label
-                  htmlFor="trade-outcome"
-                  className="block text-sm font-medium mb-2 text-[#C9D1D9]"
-                >
-                  Trade Outcome
-                </label>
-                <Select
-                  name="trade-outcome"
-                  id="trade-outcome"
-                  value={tradeOutcome}
-                  onChange={(e) => setTradeOutcome(e.target.value)}
-                >
-                  <option value="pending">Pending</option>
-                  <option value="profit">Profit</option>
-                  <option value="loss">Loss</option>
-                </Select>
-              </div>
-              {tradeOutcome !== "pending" && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                  <label htmlFor="venue" className="block text-sm font-medium mb-2 text-[#C9D1D9]">Venue</label>
+                  <Select id="venue" value={venue} onChange={e => handleVenueChange(e.target.value)}>
+                    {Object.keys(FEE_SCHEDULES).map(name => (
+                      <option key={name} value={name}>{name === DEFAULT_VENUE ? 'No fees' : name}</option>
+                    ))}
+                  </Select>
+                </div>
                 <div>
-                  <label htmlFor="pnl-amount" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
-                    {tradeOutcome === "profit"
-                      ? `Profit Amount (${settlementAsset || 'Asset'})`
-                      : `Loss Amount (${settlementAsset || 'Asset'})`}
-                  </label>
+                  <label htmlFor="liquidity" className="block text-sm font-medium mb-2 text-[#C9D1D9]">Liquidity</label>
+                  <Select id="liquidity" value={liquidity} onChange={e => setLiquidity(e.target.value)}>
+                    <option value={LIQUIDITY.TAKER}>Taker</option>
+                    <option value={LIQUIDITY.MAKER}>Maker</option>
+                  </Select>
+                </div>
+                <div>
+                  <label htmlFor="funding" className="block text-sm font-medium mb-2 text-[#C9D1D9]">Funding Paid (USD)</label>
                   <Input
                     type="number"
-                    id="pnl-amount"
-                    name="pnl-amount"
-                    placeholder="Enter amount"
-                    step="0.01"
-                    required
+                    id="funding"
+                    placeholder="Negative if received"
+                    value={funding}
+                    onChange={e => setFunding(e.target.value)}
+                    step="any"
                   />
                 </div>
+              </div>
+              <button type="button" onClick={() => setShowFeeSchedule(!showFeeSchedule)} className="text-xs text-[#8B949E] underline">
+                {showFeeSchedule ? 'Hide fee schedule' : 'Edit fee schedule'}
+              </button>
+              {showFeeSchedule && (
+                // Keyed by venue so the inputs reload the defaults when the venue changes
+                <div key={venue} className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                  {FEE_FIELDS.map(field => {
+                    const rate = field.group ? feeSchedule[field.group][field.key] : feeSchedule[field.key];
+                    return (
+                      <div key={`${field.group}-${field.key}`}>
+                        <label htmlFor={`fee-${field.group}-${field.key}`} className="block text-xs mb-1 text-[#8B949E]">{field.label}</label>
+                        <Input
+                          type="number"
+                          id={`fee-${field.group}-${field.key}`}
+                          defaultValue={parseFloat((rate * (field.percent ? 100 : 1)).toPrecision(10))}
+                          onChange={e => handleFeeFieldChange(field, e.target.value)}
+                          step="any"
+                        />
+                      </div>
+                    );
+                  })}
+                </div>
               )}
+              {strategyFees.total !== 0 && (
+                <p className="text-xs text-[#8B949E]">
+                  {`Fees $${strategyFees.trading.toFixed(2)} · delivery $${strategyFees.delivery.toFixed(2)} · slippage $${strategyFees.slippage.toFixed(2)} · funding $${strategyFees.funding.toFixed(2)}${strategyFees.recorded ? ` · on fills $${strategyFees.recorded.toFixed(2)}` : ''}`}
+                </p>
+              )}
+            </div>
+
+            {/* Pricing Model Inputs */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 border-b border-gray-700 pb-4">
+              <div>
+                <label htmlFor="pricing-model" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
+                  Pricing Model
+                </label>
+                <Select
+                  id="pricing-model"
+                  value={pricingModel}
+                  onChange={e => setPricingModel(e.target.value)}
+                >
+                  <option value={PRICING_MODELS.BLACK_76}>Black-76 (Futures)</option>
+                  <option value={PRICING_MODELS.BLACK_SCHOLES}>Black-Scholes (Spot)</option>
+                </Select>
+              </div>
+              <div>
+                <label htmlFor="implied-vol" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
+                  Implied Volatility (%)
+                </label>
+                <Input
+                  type="number"
+                  id="implied-vol"
+                  placeholder="e.g., 55"
+                  value={impliedVol}
+                  onChange={e => setImpliedVol(e.target.value)}
+                />
+              </div>
+              <div>
+                <label htmlFor="risk-free-rate" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
+                  Risk-Free Rate (%)
+                </label>
+                <Input
+                  type="number"
+                  id="risk-free-rate"
+                  placeholder="e.g., 5"
+                  value={riskFreeRate}
+                  onChange={e => setRiskFreeRate(e.target.value)}
+                />
+              </div>
+            </div>
+
+            {/* Trade Outcome */}
+            <div className="space-y-4 border-b border-gray-700 pb-4">
+              <div>
+                <label htmlFor="settlement-price" className="block text-sm font-medium mb-2 text-[#C9D1D9]">
+                  Close / Settlement Price ({underlyingAsset || 'Asset'})
+                </label>
+                <Input
+                  type="number"
+                  id="settlement-price"
+                  placeholder="Leave blank while the trade is open"
+                  value={settlementPrice}
+                  onChange={e => setSettlementPrice(e.target.value)}
+                />
+                <p className="mt-2 text-xs text-[#8B949E]">
+                  Close fills and exit premiums are realized at their price; contracts still open settle at expiry at this price.
+                </p>
+              </div>
+              <div>
+                <span className="block text-sm font-medium mb-2 text-[#C9D1D9]">Trade Outcome</span>
+                {tradeResult.tradeOutcome === 'pending' ? (
+                  <span className="tag bg-[#30363D] text-[#8B949E]">
+                    Pending{tradeResult.status !== 'open' ? ` (${tradeResult.status})` : ''}
+                  </span>
+                ) : (
+                  <div className="flex items-center space-x-3">
+                    <span className={`tag ${tradeResult.tradeOutcome === 'profit' ? 'tag-profit' : 'tag-loss'}`}>
+                      {tradeResult.tradeOutcome === 'profit' ? 'Profit' : 'Loss'}
+                    </span>
+                    <span className={`text-sm font-semibold ${tradeResult.pnlUsd >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {tradeResult.pnlUsd < 0 ? '-' : ''}${Math.abs(tradeResult.pnlUsd).toFixed(2)}
+                      {tradeResult.pnlCoin !== null && (
+                        <span className="text-[#8B949E] font-normal ml-2">{tradeResult.pnlCoin} {underlyingAsset || 'coin'}</span>
+                      )}
+                    </span>
+                    {tradeResult.roi !== null && (
+                      <span className="text-sm text-[#8B949E]">ROI {tradeResult.roi.toFixed(2)}%</span>
+                    )}
+                    {tradeResult.feesUsd !== 0 && (
+                      <span className="text-xs text-[#8B949E]" title="Net P&L is after fees, slippage and funding">
+                        gross {tradeResult.grossPnlUsd < 0 ? '-' : ''}${Math.abs(tradeResult.grossPnlUsd).toFixed(2)} · fees ${tradeResult.feesUsd.toFixed(2)}
+                      </span>
+                    )}
+                  </div>
+                )}
+              </div>
             </div>
           </div>{" "}
           {/* Submit Button */}
@@ -486,6 +902,48 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
             <canvas ref={chartRef}></canvas>
           </div>
 
+          {isMixedExpiry && !(parseFloat(impliedVol) > 0) && (
+            <div className="mb-6 p-3 bg-yellow-900/30 border border-yellow-700 rounded text-yellow-400 text-sm">
+              Legs expire on different dates. Enter an implied volatility to value the back-month legs at the front expiry; until then they are shown at intrinsic value.
+            </div>
+          )}
+
+          {/* T+0 Date Slider */}
+          {showTimeCurves && (
+            <div className="mb-6">
+              <label htmlFor="curve-date" className="flex justify-between text-sm font-medium mb-2 text-[#C9D1D9]">
+                <span>T+0 Curve Date</span>
+                <span className="text-[#8B949E]">
+                  {new Date(Date.now() + curveDayOffset * MS_PER_DAY).toLocaleDateString()} (T+{curveDayOffset}, {daysToExpiry - curveDayOffset}d to {isMixedExpiry ? 'front expiry' : 'expiry'})
+                </span>
+              </label>
+              <input
+                type="range"
+                id="curve-date"
+                min="0"
+                max={daysToExpiry}
+                step="1"
+                value={curveDayOffset}
+                onChange={e => setCurveDayOffset(Number(e.target.value))}
+                className="w-full accent-emerald-400"
+              />
+            </div>
+          )}
+
+          {/* Scenario Grid */}
+          <ScenarioGrid legs={strategyLegs} assetPrice={parseFloat(assetPrice)} pricingParams={scenarioPricingParams} />
+          {!!frontExpiry && parseFloat(assetPrice) > 0 && !(parseFloat(impliedVol) > 0) && (
+            <p className="mb-6 text-xs text-[#8B949E]">Enter an implied volatility to see the scenario grid.</p>
+          )}
+
+          {/* Monte Carlo Outcomes */}
+          <MonteCarloPanel
+            legs={strategyLegs}
+            assetPrice={parseFloat(assetPrice)}
+            underlyingAsset={underlyingAsset}
+            pricingParams={scenarioPricingParams}
+          />
+
           {/* Strategy Metrics Cards */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
             {/* Net Premium Card */}
@@ -509,6 +967,9 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
                   ? metrics.netPremium.toFixed(2)
                   : metrics.netPremium}
               </span>
+              {metrics.entryFees > 0 && (
+                <span className="text-xs text-[#8B949E]">${metrics.netPremiumAfterFees.toFixed(2)} after ${metrics.entryFees.toFixed(2)} fees</span>
+              )}
             </div>
 
             {/* Max Profit Card */}
@@ -586,6 +1047,168 @@ const StrategyForm = ({ capital, onStrategySaved }) => {
             </div>
           </div>
 
+          {/* Probability Cards */}
+          {metrics.probProfit !== 'N/A' && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              <div className="stat-card flex flex-col justify-between">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-medium text-[#8B949E]">
+                    Prob. of Profit{" "}
+                    <span
+                      className="material-icons text-xs cursor-help"
+                      title="Chance the strategy finishes above zero at expiry, from a lognormal model with the entered implied volatility."
+                    >
+                      info
+                    </span>
+                  </span>
+                  <span className="material-icons text-green-400">percent</span>
+                </div>
+                <span className="text-lg font-semibold">{metrics.probProfit.toFixed(2)}%</span>
+              </div>
+              <div className="stat-card flex flex-col justify-between">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-medium text-[#8B949E]">
+                    Prob. of Max Profit{" "}
+                    <span
+                      className="material-icons text-xs cursor-help"
+                      title="Chance the underlying settles where the strategy earns its maximum profit."
+                    >
+                      info
+                    </span>
+                  </span>
+                  <span className="material-icons text-green-400">emoji_events</span>
+                </div>
+                <span className="text-lg font-semibold">{metrics.probMaxProfit.toFixed(2)}%</span>
+              </div>
+              <div className="stat-card flex flex-col justify-between">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-medium text-[#8B949E]">
+                    Prob. of Touch{" "}
+                    <span
+                      className="material-icons text-xs cursor-help"
+                      title="Chance the underlying trades through each breakeven at any time before expiry."
+                    >
+                      info
+                    </span>
+                  </span>
+                  <span className="material-icons text-blue-400">ads_click</span>
+                </div>
+                <span className="text-sm font-semibold">
+                  {metrics.probTouch.length > 0
+                    ? metrics.probTouch.map(({ price, probability }) => (
+                        <span key={price} className="block">${price.toFixed(2)}: {probability.toFixed(2)}%</span>
+                      ))
+                    : "N/A"}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {/* Theoretical Value Cards */}
+          {metrics.theoreticalValue !== null && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              <div className="stat-card flex flex-col justify-between">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-medium text-[#8B949E]">
+                    Theoretical Value{" "}
+                    <span
+                      className="material-icons text-xs cursor-help"
+                      title="Model value of the position today from implied volatility, rate and time to expiry."
+                    >
+                      info
+                    </span>
+                  </span>
+                  <span className="material-icons text-blue-400">functions</span>
+                </div>
+                <span className="text-lg font-semibold">
+                  ${metrics.theoreticalValue.toFixed(2)}
+                </span>
+              </div>
+              <div className="stat-card flex flex-col justify-between">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-medium text-[#8B949E]">
+                    P&amp;L Now{" "}
+                    <span
+                      className="material-icons text-xs cursor-help"
+                      title="Theoretical profit or loss if the position were closed today at model prices."
+                    >
+                      info
+                    </span>
+                  </span>
+                  <span className="material-icons text-[#8B949E]">schedule</span>
+                </div>
+                <span
+                  className={`text-lg font-semibold ${
+                    metrics.theoreticalPnl >= 0 ? "metric-value-positive" : "metric-value-negative"
+                  }`}
+                >
+                  {metrics.theoreticalPnl < 0 ? "-" : ""}${Math.abs(metrics.theoreticalPnl).toFixed(2)}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {/* Settlement P&L Card */}
+          {settlementPnl && (
+            <div className="stat-card flex flex-col justify-between mb-6">
+              <div className="flex items-center justify-between">
+                <span className="text-xs font-medium text-[#8B949E]">
+                  P&amp;L at Settlement (${effectiveSettlementPrice.toLocaleString('en-US', { maximumFractionDigits: 2 })}){" "}
+                  <span
+                    className="material-icons text-xs cursor-help"
+                    title="Expiry P&L if the underlying settles at this price. Coin-settled P&L is the USD amount divided by the settlement price."
+                  >
+                    info
+                  </span>
+                </span>
+                <span className="material-icons text-[#8B949E]">currency_exchange</span>
+              </div>
+              <span
+                className={`text-lg font-semibold ${
+                  settlementPnl.usd >= 0 ? "metric-value-positive" : "metric-value-negative"
+                }`}
+              >
+                {settlementPnl.usd < 0 ? "-" : ""}${Math.abs(settlementPnl.usd).toFixed(2)}
+                <span className="text-sm text-[#8B949E] ml-2">
+                  {settlementPnl.coin.toFixed(6)} {underlyingAsset || 'coin'}
+                </span>
+              </span>
+            </div>
+          )}
+
+          {/* Greeks Table */}
+          {metrics.greeks && (
+            <div className="mb-6 overflow-x-auto">
+              <h3 className="text-sm font-medium mb-2 text-[#C9D1D9]">Greeks</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr>
+                    <th className="table-header px-2">Leg</th>
+                    {GREEK_COLUMNS.map(({ key, label }) => (
+                      <th key={key} className="table-header px-2 text-right">{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {metrics.legGreeks.map((legGreeks, index) => (
+                    <tr key={index}>
+                      <td className="table-cell py-1 px-2">{`Leg ${getLegLabel(index)}`}</td>
+                      {GREEK_COLUMNS.map(({ key }) => (
+                        <td key={key} className="table-cell py-1 px-2 text-right">{formatGreek(legGreeks[key])}</td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="table-cell py-1 px-2 text-emerald-400">Net</td>
+                    {GREEK_COLUMNS.map(({ key }) => (
+                      <td key={key} className="table-cell py-1 px-2 text-right">{formatGreek(metrics.greeks[key])}</td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Simplified Explanation Callout */}
           {(metrics.maxProfitExplanation || metrics.maxLossExplanation) &&
             metrics.strategyType !== "Custom" && (
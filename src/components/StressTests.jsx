@@ -0,0 +1,289 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { supabase, db } from '../services/supabase';
+import { DEFAULT_STRESS_SCENARIOS, runStressTest } from '../utils/stressTests';
+
+const formatUsd = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const pnlClassName = (value) => (value >= 0 ? 'text-emerald-400' : 'text-red-400');
+const formatSigned = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+/**
+ * Describes one shock, e.g. "−20% / IV +30".
+ * @param {import('../utils/stressTests').Shock} shock - The shock.
+ * @returns {string} The description.
+ */
+const describeShock = (shock) => `${formatSigned(parseFloat((shock.price * 100).toFixed(2)))}% / IV ${formatSigned(shock.iv)}`;
+
+const createEditorRow = () => ({ asset: '', price: '', iv: '' });
+const EMPTY_EDITOR = { id: null, name: '', rows: [createEditorRow()], othersEnabled: false, othersPrice: '', othersIv: '' };
+
+/**
+ * Stress-test page: re-prices every open position and the capital wallet under each scenario and
+ * reports the P&L impact, the margin change and whether available capital would be breached.
+ * Scenarios of the user's own are saved to their settings.
+ * @param {object} props
+ * @param {Array<{asset: string, amount: number}>} props.capital - The capital wallet rows.
+ * @param {Object<string, number>} [props.prices] - Live prices by asset.
+ * @returns {JSX.Element}
+ */
+const StressTests = ({ capital, prices }) => {
+  const [userId, setUserId] = useState(null);
+  const [strategies, setStrategies] = useState([]);
+  const [customScenarios, setCustomScenarios] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [editor, setEditor] = useState(EMPTY_EDITOR);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+      setUserId(user.id);
+      try {
+        const [userStrategies, scenarios] = await Promise.all([db.strategies.getAll(), db.stressScenarios.get(user.id)]);
+        setStrategies(userStrategies || []);
+        setCustomScenarios(scenarios || []);
+      } catch (err) {
+        console.error('Error loading stress test data:', err);
+      }
+    };
+    fetchData();
+  }, []);
+
+  const results = useMemo(
+    () => [...DEFAULT_STRESS_SCENARIOS, ...customScenarios].map(scenario => runStressTest(scenario, { strategies, capital, prices })),
+    [strategies, capital, prices, customScenarios]
+  );
+
+  const saveScenarios = async (scenarios) => {
+    if (!userId) {
+      setError('Log in to save your own scenarios.');
+      return false;
+    }
+    try {
+      await db.stressScenarios.set(userId, scenarios);
+      setCustomScenarios(scenarios);
+      setError(null);
+      return true;
+    } catch (err) {
+      console.error('Error saving stress scenarios:', err);
+      setError('Failed to save scenarios. Please try again.');
+      return false;
+    }
+  };
+
+  const handleEditorSubmit = async (e) => {
+    e.preventDefault();
+    const shocks = Object.fromEntries(editor.rows
+      .filter(row => row.asset.trim())
+      .map(row => [row.asset.trim().toUpperCase(), { price: (parseFloat(row.price) || 0) / 100, iv: parseFloat(row.iv) || 0 }]));
+    if (!editor.name.trim() || (Object.keys(shocks).length === 0 && !editor.othersEnabled)) {
+      setError('A scenario needs a name and at least one shock.');
+      return;
+    }
+    const scenario = {
+      id: editor.id || `custom-${Date.now()}`,
+      name: editor.name.trim(),
+      shocks,
+      others: editor.othersEnabled ? { price: (parseFloat(editor.othersPrice) || 0) / 100, iv: parseFloat(editor.othersIv) || 0 } : null,
+      custom: true,
+    };
+    const scenarios = editor.id
+      ? customScenarios.map(existing => (existing.id === editor.id ? scenario : existing))
+      : [...customScenarios, scenario];
+    if (await saveScenarios(scenarios)) setEditor(EMPTY_EDITOR);
+  };
+
+  const editScenario = (scenario) => {
+    setEditor({
+      id: scenario.id,
+      name: scenario.name,
+      rows: Object.entries(scenario.shocks).map(([asset, shock]) => ({ asset, price: String(shock.price * 100), iv: String(shock.iv) })),
+      othersEnabled: !!scenario.others,
+      othersPrice: scenario.others ? String(scenario.others.price * 100) : '',
+      othersIv: scenario.others ? String(scenario.others.iv) : '',
+    });
+  };
+
+  const updateRow = (index, field, value) => {
+    setEditor(prev => ({ ...prev, rows: prev.rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)) }));
+  };
+
+  const inputClassName = 'bg-[#23272F] text-gray-200 px-2 py-1 rounded border border-[#30363D] text-sm';
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-8">
+      <div className="bg-[#161B22] rounded-2xl p-6 shadow-lg">
+        <h2 className="text-lg font-semibold text-white mb-1">Stress tests</h2>
+        <p className="text-xs text-gray-400 mb-4">
+          Open positions are re-priced at the volatility they are marked at (entered, or their options' entry IV), shifted by the scenario; wallet holdings move with their asset. Available capital is the wallet value plus open P&L, less estimated initial margin.
+        </p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-400">
+              <th className="text-left py-1">Scenario</th>
+              <th className="text-left py-1">Shocks</th>
+              <th className="text-right py-1">Positions P&L</th>
+              <th className="text-right py-1">Wallet P&L</th>
+              <th className="text-right py-1">Total</th>
+              <th className="text-right py-1">Margin change</th>
+              <th className="text-right py-1">Available after</th>
+              <th className="text-right py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => (
+              <React.Fragment key={result.scenario.id}>
+                <tr
+                  className="border-t border-[#30363D] cursor-pointer hover:bg-[#1C2128]"
+                  onClick={() => setExpandedId(expandedId === result.scenario.id ? null : result.scenario.id)}
+                >
+                  <td className="py-1">{result.scenario.name}</td>
+                  <td className="py-1 text-xs text-gray-400">
+                    {[
+                      ...Object.entries(result.scenario.shocks).map(([asset, shock]) => `${asset} ${describeShock(shock)}`),
+                      ...(result.scenario.others ? [`others ${describeShock(result.scenario.others)}`] : []),
+                    ].join(', ')}
+                  </td>
+                  <td className={`py-1 text-right ${pnlClassName(result.positionsPnl)}`}>{formatUsd(result.positionsPnl)}</td>
+                  <td className={`py-1 text-right ${pnlClassName(result.holdingsPnl)}`}>{formatUsd(result.holdingsPnl)}</td>
+                  <td className={`py-1 text-right font-semibold ${pnlClassName(result.totalPnl)}`}>{formatUsd(result.totalPnl)}</td>
+                  <td className={`py-1 text-right ${result.marginChange > 0 ? 'text-red-400' : 'text-emerald-400'}`}>
+                    {result.marginChange > 0 ? '+' : ''}{formatUsd(result.marginChange)}
+                  </td>
+                  <td className="py-1 text-right">{formatUsd(result.availableAfter)}</td>
+                  <td className="py-1 text-right">
+                    {result.breached
+                      ? <span className="px-2 py-0.5 rounded-full text-xs bg-red-900/50 text-red-400">Breached</span>
+                      : <span className="px-2 py-0.5 rounded-full text-xs bg-emerald-900/50 text-emerald-400">OK</span>}
+                  </td>
+                </tr>
+                {expandedId === result.scenario.id && (
+                  <tr className="bg-[#1C2128]">
+                    <td colSpan={8} className="p-3">
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs">
+                        <div>
+                          <div className="text-gray-400 mb-1">Positions</div>
+                          {result.positions.length === 0 && <div className="text-gray-400">No open positions.</div>}
+                          {result.positions.map(position => (
+                            <div key={position.strategy.id} className="flex justify-between py-0.5">
+                              <span>
+                                {position.underlyingAsset} {position.strategy.strategy_type}
+                                {position.undated && <span className="text-gray-400" title="Options without an expiry or close date: valued without time value, so the IV shock does not apply"> (no expiry)</span>}
+                              </span>
+                              <span>
+                                <span className={pnlClassName(position.pnl)}>{formatUsd(position.pnl)}</span>
+                                <span className="text-gray-400 ml-2">margin {formatUsd(position.marginBefore)} → {formatUsd(position.marginAfter)}</span>
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                        <div>
+                          <div className="text-gray-400 mb-1">Wallet</div>
+                          {result.holdings.length === 0 && <div className="text-gray-400">No assets in wallet.</div>}
+                          {result.holdings.map((holding, index) => (
+                            <div key={`${holding.asset}-${index}`} className="flex justify-between py-0.5">
+                              <span>{holding.amount} {holding.asset}</span>
+                              <span className={pnlClassName(holding.pnl)}>{formatUsd(holding.pnl)}</span>
+                            </div>
+                          ))}
+                          <div className="text-gray-400 mt-2">
+                            Margin {formatUsd(result.marginBefore.initial)} → {formatUsd(result.marginAfter.initial)} initial,
+                            {' '}{formatUsd(result.marginBefore.maintenance)} → {formatUsd(result.marginAfter.maintenance)} maintenance.
+                            Available capital {formatUsd(result.availableBefore)} → {formatUsd(result.availableAfter)}.
+                          </div>
+                          {result.scenario.custom && (
+                            <div className="flex gap-3 mt-2">
+                              <button type="button" className="text-emerald-400 hover:underline" onClick={() => editScenario(result.scenario)}>Edit</button>
+                              <button
+                                type="button"
+                                className="text-red-400 hover:underline"
+                                onClick={() => saveScenarios(customScenarios.filter(scenario => scenario.id !== result.scenario.id))}
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        {results[0]?.undatedPositions > 0 && (
+          <p className="text-xs text-gray-400 mt-2">
+            {results[0].undatedPositions} open {results[0].undatedPositions === 1 ? 'position has' : 'positions have'} options without an expiry or close date; they are valued without time value, so IV shocks do not move them.
+          </p>
+        )}
+      </div>
+
+      <form onSubmit={handleEditorSubmit} className="bg-[#161B22] rounded-2xl p-6 shadow-lg">
+        <h2 className="text-lg font-semibold text-white mb-4">{editor.id ? 'Edit scenario' : 'New scenario'}</h2>
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/50 border border-red-700 rounded text-red-400 text-sm">{error}</div>
+        )}
+        <label htmlFor="scenario-name" className="block text-sm text-gray-300 mb-1">Name</label>
+        <input
+          id="scenario-name"
+          type="text"
+          value={editor.name}
+          onChange={e => setEditor(prev => ({ ...prev, name: e.target.value }))}
+          className={`${inputClassName} w-full mb-4`}
+          placeholder="e.g. SOL −35% / IV +40"
+        />
+        <div className="text-sm text-gray-300 mb-1">Shocks</div>
+        {editor.rows.map((row, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+            <input type="text" value={row.asset} placeholder="Asset" onChange={e => updateRow(index, 'asset', e.target.value)} className={`${inputClassName} w-24`} />
+            <input type="number" step="any" value={row.price} placeholder="Price %" onChange={e => updateRow(index, 'price', e.target.value)} className={`${inputClassName} w-28`} />
+            <input type="number" step="any" value={row.iv} placeholder="IV pts" onChange={e => updateRow(index, 'iv', e.target.value)} className={`${inputClassName} w-28`} />
+            {editor.rows.length > 1 && (
+              <button
+                type="button"
+                className="text-red-400 text-sm"
+                onClick={() => setEditor(prev => ({ ...prev, rows: prev.rows.filter((_, i) => i !== index) }))}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        <button
+          type="button"
+          className="text-emerald-400 text-sm mb-4"
+          onClick={() => setEditor(prev => ({ ...prev, rows: [...prev.rows, createEditorRow()] }))}
+        >
+          + Add asset
+        </button>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <label htmlFor="scenario-others" className="flex items-center text-sm text-gray-300">
+            <input
+              id="scenario-others"
+              type="checkbox"
+              checked={editor.othersEnabled}
+              onChange={e => setEditor(prev => ({ ...prev, othersEnabled: e.target.checked }))}
+              className="mr-2"
+            />
+            Move every other asset too
+          </label>
+          {editor.othersEnabled && (
+            <>
+              <input type="number" step="any" value={editor.othersPrice} placeholder="Price %" onChange={e => setEditor(prev => ({ ...prev, othersPrice: e.target.value }))} className={`${inputClassName} w-28`} />
+              <input type="number" step="any" value={editor.othersIv} placeholder="IV pts" onChange={e => setEditor(prev => ({ ...prev, othersIv: e.target.value }))} className={`${inputClassName} w-28`} />
+            </>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button type="submit" className="btn btn-primary py-1.5 px-4 text-sm">{editor.id ? 'Update scenario' : 'Save scenario'}</button>
+          {editor.id && (
+            <button type="button" className="btn btn-secondary py-1.5 px-4 text-sm" onClick={() => setEditor(EMPTY_EDITOR)}>Cancel</button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default StressTests;
@@ -67,6 +67,25 @@ export const db = {
       return true;
     }
   },
+  stressScenarios: {
+    get: async (userId) => {
+      const { data, error } = await supabase
+        .from('user_settings')
+        .select('stress_scenarios')
+        .eq('user_id', userId)
+        .single();
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116: No rows found
+      return data?.stress_scenarios ?? [];
+    },
+    set: async (userId, scenarios) => {
+      // Upsert the user's own stress scenarios
+      const { error } = await supabase
+        .from('user_settings')
+        .upsert({ user_id: userId, stress_scenarios: scenarios }, { onConflict: 'user_id' });
+      if (error) throw error;
+      return true;
+    }
+  },
   strategies: {
     create: async (strategy) => {
       try {
@@ -38,59 +38,113 @@ export type Database = {
         Row: {
           asset: string | null
           asset_price: number | null
+          chain_id: string | null
           close_date: string | null
           created_at: string | null
+          fee_schedule: Json | null
+          fees: number | null
+          funding: number | null
+          greeks: Json | null
+          gross_pnl: number | null
           id: string
           legs: Json | null
+          liquidity: string | null
           margin_required: number | null
+          mark_iv: number | null
           max_loss: number | null
           max_profit: number | null
           open_date: string | null
           pnl: number | null
           roi: number | null
+          rolled_from: string | null
+          settlement_price: number | null
+          status: string | null
           strategy_type: string | null
           timestamp: number | null
           trade_outcome: string | null
           updated_at: string | null
           user_id: string | null
+          venue: string | null
         }
         Insert: {
           asset?: string | null
           asset_price?: number | null
+          chain_id?: string | null
           close_date?: string | null
           created_at?: string | null
+          fee_schedule?: Json | null
+          fees?: number | null
+          funding?: number | null
+          greeks?: Json | null
+          gross_pnl?: number | null
           id?: string
           legs?: Json | null
+          liquidity?: string | null
           margin_required?: number | null
+          mark_iv?: number | null
           max_loss?: number | null
           max_profit?: number | null
           open_date?: string | null
           pnl?: number | null
           roi?: number | null
+          rolled_from?: string | null
+          settlement_price?: number | null
+          status?: string | null
           strategy_type?: string | null
           timestamp?: number | null
           trade_outcome?: string | null
           updated_at?: string | null
           user_id?: string | null
+          venue?: string | null
         }
         Update: {
           asset?: string | null
           asset_price?: number | null
+          chain_id?: string | null
           close_date?: string | null
           created_at?: string | null
+          fee_schedule?: Json | null
+          fees?: number | null
+          funding?: number | null
+          greeks?: Json | null
+          gross_pnl?: number | null
           id?: string
           legs?: Json | null
+          liquidity?: string | null
           margin_required?: number | null
+          mark_iv?: number | null
           max_loss?: number | null
           max_profit?: number | null
           open_date?: string | null
           pnl?: number | null
           roi?: number | null
+          rolled_from?: string | null
+          settlement_price?: number | null
+          status?: string | null
           strategy_type?: string | null
           timestamp?: number | null
           trade_outcome?: string | null
           updated_at?: string | null
           user_id?: string | null
+          venue?: string | null
+        }
+        Relationships: []
+      }
+      user_settings: {
+        Row: {
+          initial_capital: number | null
+          stress_scenarios: Json | null
+          user_id: string
+        }
+        Insert: {
+          initial_capital?: number | null
+          stress_scenarios?: Json | null
+          user_id: string
+        }
+        Update: {
+          initial_capital?: number | null
+          stress_scenarios?: Json | null
+          user_id?: string
         }
         Relationships: []
       }
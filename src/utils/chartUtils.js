@@ -1,5 +1,8 @@
 import { Chart } from 'chart.js/auto';
 import annotationPlugin from 'chartjs-plugin-annotation';
+import { calculateStrategyTheoreticalValue, getFrontExpiry, parseExpiryDate, yearsUntil } from './pricing';
+import { analyzeExpiryPayoff, generatePayoffPoints, hasModelledPayoff } from './payoffEngine';
+import { isLinearLeg, isOptionLeg } from './legUtils';
 
 Chart.register(annotationPlugin);
 
@@ -9,58 +12,69 @@ const colors = {
   grid: '#30363D',
   text: '#8B949E',
   breakeven: '#388BFD',
-  annotations: '#8B949E'
+  annotations: '#8B949E',
+  timeCurves: ['#388BFD', '#A371F7', '#D29922']
 };
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} TimeCurveOptions
+ * @property {number} volatility - Annualized implied volatility as a decimal.
+ * @property {number} [rate=0] - Risk-free rate as a decimal.
+ * @property {string} [model] - One of PRICING_MODELS.
+ * @property {string | Date} expiry - The front expiration date of the strategy.
+ * @property {Date} [valuationDate=new Date()] - The date of the "today" (T+0) curve.
+ * @property {number} [intermediateCurves=2] - Number of curves drawn between T+0 and expiry.
+ */
+
+/**
+ * Builds a line dataset for the payoff scatter chart.
+ * @param {string} label - The legend label.
+ * @param {Array<{x: number, y: number}>} data - The curve points.
+ * @param {string} color - The line color.
+ * @param {number[]} [borderDash=[]] - Dash pattern for the line.
+ * @returns {object} A Chart.js dataset.
+ */
+const buildCurveDataset = (label, data, color, borderDash = []) => ({
+  label,
+  data,
+  showLine: true,
+  borderColor: color,
+  borderWidth: 2,
+  borderDash,
+  pointRadius: 0,
+  fill: false,
+  tension: 0
+});
+
 /**
- * Generates points for a hockey stick payoff diagram with extra points around strike prices for smoother curves
+ * Generates the theoretical P&L curves between the valuation date and expiry.
  * @param {Array<import('../components/Leg').LegValues>} legs - The option legs
- * @param {number} startPrice - The starting price for the chart
- * @param {number} endPrice - The ending price for the chart
- * @param {number} step - The step size between price points
- * @returns {Array<{x: number, y: number}>} Array of price and payoff points
+ * @param {number[]} prices - The underlying prices to evaluate
+ * @param {TimeCurveOptions} options - Volatility model inputs and dates
+ * @returns {Array<object>} Chart.js datasets, nearest date first
  */
-const generatePayoffPoints = (legs, startPrice, endPrice, step) => {
-  const points = new Set(); // Use Set to avoid duplicate x values
-  const strikes = legs.map(leg => parseFloat(leg.strike)).filter(strike => !isNaN(strike));
-  
-  // Generate points with special attention around strikes
-  for (let price = startPrice; price <= endPrice; price += step) {
-    // Add extra points slightly before and after each strike price
-    strikes.forEach(strike => {
-      if (Math.abs(price - strike) < step) {
-        [-0.5, -0.1, 0, 0.1, 0.5].forEach(offset => {
-          const strikePoint = strike + offset;
-          if (strikePoint >= startPrice && strikePoint <= endPrice) {
-            points.add(strikePoint);
-          }
-        });
-      }
-    });
-    points.add(price);
-  }
+const generateTimeCurveDatasets = (legs, prices, { volatility, rate = 0, model, expiry, valuationDate = new Date(), intermediateCurves = 2 }) => {
+  const expiryDate = parseExpiryDate(expiry);
+  const today = new Date();
+  const totalMs = expiryDate.getTime() - valuationDate.getTime();
+  if (isNaN(totalMs) || totalMs <= 0) return [];
 
-  // Sort prices and calculate payoffs
-  return Array.from(points).sort((a, b) => a - b).map(price => {
-    let totalPayoff = 0;
-    legs.forEach(leg => {
-      const strike = parseFloat(leg.strike);
-      const premium = parseFloat(leg.premium);
-      const contracts = parseInt(leg.contracts) || 1;
-      
-      if (leg.type === 'Put') {
-        const intrinsicValue = Math.max(0, strike - price);
-        totalPayoff += leg.action === 'Buy' 
-          ? (intrinsicValue - premium) * contracts
-          : (premium - intrinsicValue) * contracts;
-      } else {
-        const intrinsicValue = Math.max(0, price - strike);
-        totalPayoff += leg.action === 'Buy'
-          ? (intrinsicValue - premium) * contracts
-          : (premium - intrinsicValue) * contracts;
-      }
-    });
-    return { x: price, y: totalPayoff };
+  // T+0 at the valuation date, then evenly spaced dates that stop short of expiry
+  const curveDates = Array.from({ length: intermediateCurves + 1 }, (_, i) =>
+    new Date(valuationDate.getTime() + (totalMs * i) / (intermediateCurves + 1))
+  );
+
+  return curveDates.map((date, i) => {
+    const time = yearsUntil(expiryDate, date);
+    const daysFromToday = Math.max(0, Math.round((date.getTime() - today.getTime()) / MS_PER_DAY));
+    const data = prices.map(price => ({
+      x: price,
+      y: calculateStrategyTheoreticalValue(legs, price, { volatility, rate, model, time, valuationDate: date }).pnl
+    }));
+    const label = `T+${daysFromToday} (${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })})`;
+    return buildCurveDataset(label, data, colors.timeCurves[i % colors.timeCurves.length], i === 0 ? [] : [6, 4]);
   });
 };
 
@@ -71,16 +85,7 @@ export const initChart = (chartContainer) => {
   return new Chart(ctx, {
     type: 'scatter',
     data: {
-      datasets: [{
-        label: 'Strategy P/L',
-        data: [],
-        showLine: true,
-        borderColor: colors.profit,
-        borderWidth: 2,
-        pointRadius: 0,
-        fill: false,
-        tension: 0
-      }]
+      datasets: [buildCurveDataset('At Expiration', [], colors.profit)]
     },
     options: {
       responsive: true,
@@ -138,7 +143,11 @@ export const initChart = (chartContainer) => {
       },
       plugins: {
         legend: {
-          display: false
+          display: false,
+          labels: {
+            color: colors.text,
+            boxHeight: 2
+          }
         },
         tooltip: {
           enabled: true,
@@ -154,7 +163,7 @@ export const initChart = (chartContainer) => {
           displayColors: false,
           callbacks: {
             title: (tooltipItems) => {
-              return 'Strategy P/L';
+              return tooltipItems[0]?.dataset.label || 'Strategy P/L';
             },
             label: (context) => {
               const price = context.parsed.x.toLocaleString('en-US', {
@@ -234,31 +243,44 @@ export const initChart = (chartContainer) => {
   });
 };
 
-export const updatePayoffChart = (chart, legs, assetPrice) => {
+/**
+ * Redraws the payoff chart: the at-expiration payoff plus, when volatility inputs are given,
+ * theoretical P&L curves for today (T+0) and intermediate dates. With mixed expiries the
+ * expiration curve is drawn at the front expiry, with back-month legs at theoretical value.
+ * @param {Chart} chart - The chart created by initChart
+ * @param {Array<import('../components/Leg').LegValues>} legs - The option legs
+ * @param {number | string} assetPrice - The current underlying price
+ * @param {TimeCurveOptions} [timeCurveOptions] - Volatility model inputs for the T+N curves
+ */
+export const updatePayoffChart = (chart, legs, assetPrice, timeCurveOptions) => {
   if (!chart || !legs || legs.length === 0 || !assetPrice) return;
 
-  // Get min and max strikes to determine chart range
-  const strikes = legs.map(leg => parseFloat(leg.strike)).filter(strike => !isNaN(strike));
-  const minStrike = Math.min(...strikes);
-  const maxStrike = Math.max(...strikes);
-  
-  // Add 100-point margin on both sides
-  const startPrice = Math.max(0, minStrike - 100);
-  const endPrice = maxStrike + 100;
-  const step = (endPrice - startPrice) / 200; // More granular steps for smoother curve
-  
-  // Generate payoff points
-  const payoffPoints = generatePayoffPoints(legs, startPrice, endPrice, step);
+  const strikes = legs.filter(isOptionLeg).map(leg => parseFloat(leg.strike)).filter(strike => !isNaN(strike));
+  const entryPrices = legs.filter(isLinearLeg).map(leg => parseFloat(leg.entryPrice)).filter(price => price > 0);
+
+  // Points and key levels come from the shared payoff engine so they match the metrics panel
+  const payoffPoints = generatePayoffPoints(legs, parseFloat(assetPrice), timeCurveOptions);
+  const { maxProfit, maxLoss, breakevens } = analyzeExpiryPayoff(legs, timeCurveOptions);
 
   // Update chart data
-  chart.data.datasets[0].data = payoffPoints;
+  const frontExpiry = getFrontExpiry(legs);
+  const expiryLabel = hasModelledPayoff(legs, timeCurveOptions)
+    ? `At Front Expiry (${frontExpiry.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })})`
+    : 'At Expiration';
+  const expiryDataset = buildCurveDataset(expiryLabel, payoffPoints, colors.profit);
+  const timeDatasets = timeCurveOptions && timeCurveOptions.volatility > 0 && timeCurveOptions.expiry
+    ? generateTimeCurveDatasets(legs, payoffPoints.map(p => p.x), timeCurveOptions)
+    : [];
+  chart.data.datasets = [...timeDatasets, expiryDataset];
+  chart.options.plugins.legend.display = timeDatasets.length > 0;
+  chart.options.scales.x.title.text = timeDatasets.length > 0 ? 'Underlying Price' : 'Underlying Price at Expiration';
+  chart.options.scales.y.title.text = timeDatasets.length > 0 ? 'Profit or Loss' : 'Profit or Loss at Expiration';
 
   // Add annotations for key points
   const annotations = {};
 
-  // Max Profit line
-  const maxProfit = Math.max(...payoffPoints.map(p => p.y));
-  annotations.maxProfit = {
+  // Max Profit line (an unlimited profit has no level to draw)
+  if (maxProfit !== 'Unlimited') annotations.maxProfit = {
     type: 'line',
     yMin: maxProfit,
     yMax: maxProfit,
@@ -273,8 +295,7 @@ export const updatePayoffChart = (chart, legs, assetPrice) => {
   };
 
   // Max Loss line
-  const maxLoss = Math.min(...payoffPoints.map(p => p.y));
-  annotations.maxLoss = {
+  if (maxLoss !== 'Unlimited') annotations.maxLoss = {
     type: 'line',
     yMin: maxLoss,
     yMax: maxLoss,
@@ -321,41 +342,53 @@ export const updatePayoffChart = (chart, legs, assetPrice) => {
     };
   });
 
+  // Entry prices of spot, perpetual and futures legs
+  entryPrices.forEach((entryPrice, index) => {
+    annotations[`entry${index}`] = {
+      type: 'line',
+      xMin: entryPrice,
+      xMax: entryPrice,
+      borderColor: colors.annotations,
+      borderWidth: 1,
+      borderDash: [2, 4],
+      label: {
+        content: `Entry: $${entryPrice}`,
+        enabled: true,
+        position: 'top',
+        backgroundColor: '#161B22',
+        font: {
+          size: 11,
+          weight: 'bold'
+        },
+        padding: 6,
+        borderRadius: 4
+      }
+    };
+  });
+
   // Breakeven points
-  payoffPoints.reduce((crossings, point, i) => {
-    if (i > 0) {
-      const prev = payoffPoints[i - 1];
-      // Check if the line crosses y=0 between these points
-      if ((prev.y <= 0 && point.y >= 0) || (prev.y >= 0 && point.y <= 0)) {
-        // Linear interpolation to find x value where y=0
-        const ratio = Math.abs(prev.y) / (Math.abs(prev.y) + Math.abs(point.y));
-        const breakeven = prev.x + (point.x - prev.x) * ratio;
-        
-        annotations[`breakeven${crossings}`] = {
-          type: 'line',
-          xMin: breakeven,
-          xMax: breakeven,
-          borderColor: colors.breakeven,
-          borderWidth: 2,
-          label: {
-            content: `Break Even: $${breakeven.toFixed(2)}`,
-            enabled: true,
-            position: 'bottom',
-            backgroundColor: '#161B22',
-            color: colors.breakeven,
-            font: {
-              size: 11,
-              weight: 'bold'
-            },
-            padding: 6,
-            borderRadius: 4
-          }
-        };
-        return crossings + 1;
+  breakevens.forEach((breakeven, index) => {
+    annotations[`breakeven${index}`] = {
+      type: 'line',
+      xMin: breakeven,
+      xMax: breakeven,
+      borderColor: colors.breakeven,
+      borderWidth: 2,
+      label: {
+        content: `Break Even: $${breakeven.toFixed(2)}`,
+        enabled: true,
+        position: 'bottom',
+        backgroundColor: '#161B22',
+        color: colors.breakeven,
+        font: {
+          size: 11,
+          weight: 'bold'
+        },
+        padding: 6,
+        borderRadius: 4
       }
-    }
-    return crossings;
-  }, 0);
+    };
+  });
 
   chart.options.plugins.annotation = { annotations };
   chart.update();
@@ -0,0 +1,123 @@
+/**
+ * Exercise and assignment turn an option leg into a spot position. The option is closed at a zero
+ * premium (the premium paid or received is all it made), and its intrinsic value lives on in a spot
+ * lot bought or sold at the strike. Lots go to the capital wallet, linked back to the strategy.
+ */
+
+import { isOptionLeg } from './legUtils';
+import { summarizeLegFills } from './fillUtils';
+
+export const EXERCISE_OUTCOMES = {
+  EXERCISED: 'exercised',
+  ASSIGNED: 'assigned',
+};
+
+// Capital rows the strike is paid from (or credited to), in order of preference; a new cash row is
+// USDC, the cash asset the capital setup offers and prices
+export const CASH_ASSETS = ['USDC', 'USDT', 'USD'];
+
+/**
+ * @typedef {object} SpotLot
+ * @property {string} asset - The underlying received (positive amount) or delivered (negative amount).
+ * @property {number} amount - Units of the underlying: contracts × multiplier.
+ * @property {number} purchasePrice - The cost basis per unit, the strike.
+ * @property {string} source - One of EXERCISE_OUTCOMES.
+ * @property {string} strategyId - The id of the strategy the option belonged to.
+ * @property {string} strategyType - The strategy type, to label the lot.
+ * @property {number} legId - The id of the exercised leg.
+ * @property {string} date - The exercise date (YYYY-MM-DD).
+ */
+
+/**
+ * Returns how an option leg converts into spot: long options are exercised, short options assigned.
+ * @param {import('../components/Leg').LegValues} leg - The option leg.
+ * @returns {string} One of EXERCISE_OUTCOMES.
+ */
+export const getExerciseOutcome = (leg) => (leg.action === 'Sell' ? EXERCISE_OUTCOMES.ASSIGNED : EXERCISE_OUTCOMES.EXERCISED);
+
+/**
+ * True for legs that were exercised or assigned.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {boolean}
+ */
+export const isExercisedLeg = (leg) => isOptionLeg(leg) && !!leg.exercise;
+
+/**
+ * Returns the units of the underlying an exercise delivers: positive when they are received (long
+ * call, short put), negative when they are delivered (long put, short call).
+ * @param {import('../components/Leg').LegValues} leg - The option leg, before it is exercised.
+ * @returns {number} The spot quantity.
+ */
+export const getExerciseQuantity = (leg) => {
+  const { openQuantity } = summarizeLegFills({ ...leg, exitPrice: '' });
+  const multiplier = parseFloat(leg.multiplier) > 0 ? parseFloat(leg.multiplier) : 1;
+  const receives = (leg.type === 'Call') === (leg.action === 'Buy');
+  return (receives ? 1 : -1) * openQuantity * multiplier;
+};
+
+/**
+ * Marks an option leg exercised (or assigned) and closes it at a zero premium.
+ * @param {import('../components/Leg').LegValues} leg - The option leg.
+ * @param {string} date - The exercise date (YYYY-MM-DD).
+ * @returns {import('../components/Leg').LegValues} The exercised leg.
+ */
+export const exerciseLeg = (leg, date) => ({
+  ...leg,
+  exitPrice: 0,
+  exercise: { outcome: getExerciseOutcome(leg), date, quantity: getExerciseQuantity(leg) },
+});
+
+/**
+ * Creates the spot lot an exercised leg turned into.
+ * @param {import('../components/Leg').LegValues} leg - The exercised leg.
+ * @param {object} strategy - The saved strategy the leg belongs to.
+ * @returns {SpotLot} The lot, at the strike.
+ */
+export const createSpotLot = (leg, strategy) => ({
+  asset: strategy.underlying_asset,
+  amount: leg.exercise.quantity,
+  purchasePrice: parseFloat(leg.strike) || 0,
+  source: leg.exercise.outcome,
+  strategyId: strategy.id,
+  strategyType: strategy.strategy_type,
+  legId: leg.id,
+  date: leg.exercise.date,
+});
+
+/**
+ * Takes a delivered lot out of the holdings of its asset, earliest rows first. Whatever the
+ * holdings do not cover stays in the wallet as a negative lot, a short spot position.
+ * @param {Array<object>} capital - The capital rows.
+ * @param {SpotLot} lot - The delivered lot (negative amount).
+ * @returns {Array<object>} The updated capital rows.
+ */
+const deliverFromHoldings = (capital, lot) => {
+  let remaining = -lot.amount;
+  const updated = capital.map(row => {
+    const amount = parseFloat(row.amount) || 0;
+    if (row.asset !== lot.asset || amount <= 0 || remaining <= 0) return row;
+    const delivered = Math.min(amount, remaining);
+    remaining -= delivered;
+    return { ...row, amount: amount - delivered };
+  });
+  return remaining > 0 ? [...updated, { ...lot, amount: -remaining }] : updated;
+};
+
+/**
+ * Adds spot lots to the capital wallet and pays the strike for them from the first cash row
+ * (or receives it, for delivered lots). Received lots are added as rows of their own; delivered
+ * lots are netted against the holdings of their asset.
+ * @param {Array<object>} capital - The capital rows: { asset, amount, purchasePrice }.
+ * @param {SpotLot[]} lots - The new lots.
+ * @returns {Array<object>} The updated capital rows.
+ */
+export const addSpotLotsToCapital = (capital, lots) => {
+  if (lots.length === 0) return capital;
+  const cashAsset = CASH_ASSETS.find(asset => capital.some(row => row.asset === asset)) || CASH_ASSETS[0];
+  const cashFlow = -lots.reduce((total, lot) => total + lot.amount * lot.purchasePrice, 0);
+  const cashIndex = capital.findIndex(row => row.asset === cashAsset);
+  const updated = cashIndex === -1
+    ? [...capital, { asset: cashAsset, amount: cashFlow, purchasePrice: 1 }]
+    : capital.map((row, index) => (index === cashIndex ? { ...row, amount: (parseFloat(row.amount) || 0) + cashFlow } : row));
+  return lots.reduce((rows, lot) => (lot.amount < 0 ? deliverFromHoldings(rows, lot) : [...rows, lot]), updated);
+};
@@ -0,0 +1,190 @@
+/**
+ * Venue fee schedules and the trading costs they add to a strategy: maker/taker fees on every
+ * entry and exit, delivery fees on options settled in the money, slippage and funding. Crypto
+ * venues charge option fees as a fraction of the underlying per contract, capped at a fraction of
+ * the premium, which is what makes cheap wings expensive to trade.
+ * The defaults follow the published base tiers and can be edited per strategy.
+ */
+
+import { getLegPremiumUsd, isOptionLeg } from './legUtils';
+import { FILL_SIDES, getLegFills, summarizeLegFills } from './fillUtils';
+
+export const LIQUIDITY = {
+  MAKER: 'maker',
+  TAKER: 'taker',
+};
+
+/**
+ * @typedef {object} FeeSchedule
+ * @property {{maker: number, taker: number, perContract: number, premiumCap: number, delivery: number, deliveryCap: number}} option -
+ *   Option fees: maker/taker as a fraction of the underlying price per unit, a flat USD fee per
+ *   contract, the cap as a fraction of the premium, and the delivery fee (fraction of the underlying)
+ *   capped at a fraction of the intrinsic value.
+ * @property {{maker: number, taker: number}} linear - Spot, perpetual and futures fees as a fraction of the notional.
+ * @property {number} slippage - Expected slippage as a fraction of every fill price.
+ */
+
+/** @type {Object<string, FeeSchedule>} */
+export const FEE_SCHEDULES = {
+  None: {
+    option: { maker: 0, taker: 0, perContract: 0, premiumCap: 0, delivery: 0, deliveryCap: 0 },
+    linear: { maker: 0, taker: 0 },
+    slippage: 0,
+  },
+  Deribit: {
+    option: { maker: 0.0003, taker: 0.0003, perContract: 0, premiumCap: 0.125, delivery: 0.00015, deliveryCap: 0.125 },
+    linear: { maker: 0, taker: 0.0005 },
+    slippage: 0,
+  },
+  OKX: {
+    option: { maker: 0.0002, taker: 0.0003, perContract: 0, premiumCap: 0.125, delivery: 0.0002, deliveryCap: 0.125 },
+    linear: { maker: 0.0002, taker: 0.0005 },
+    slippage: 0,
+  },
+  Bybit: {
+    option: { maker: 0.0002, taker: 0.0003, perContract: 0, premiumCap: 0.07, delivery: 0.00015, deliveryCap: 0.125 },
+    linear: { maker: 0.0002, taker: 0.00055 },
+    slippage: 0,
+  },
+  Binance: {
+    option: { maker: 0.0002, taker: 0.0003, perContract: 0, premiumCap: 0.1, delivery: 0.00015, deliveryCap: 0.1 },
+    linear: { maker: 0.0002, taker: 0.0005 },
+    slippage: 0,
+  },
+  'Equity broker': {
+    option: { maker: 0, taker: 0, perContract: 0.65, premiumCap: 0, delivery: 0, deliveryCap: 0 },
+    linear: { maker: 0, taker: 0 },
+    slippage: 0,
+  },
+};
+
+export const DEFAULT_VENUE = 'None';
+
+/**
+ * @typedef {object} FeeOptions
+ * @property {FeeSchedule} [schedule] - The fee schedule (no fees without one).
+ * @property {string} [liquidity] - One of LIQUIDITY; taker unless stated.
+ * @property {number} [entryPrice] - The underlying price at entry, for option fees on open fills.
+ * @property {number} [closePrice] - The underlying price at close; options still open settle at it.
+ * @property {number} [funding] - Funding paid in USD (negative when received).
+ */
+
+/**
+ * @typedef {object} StrategyFees
+ * @property {number} recorded - Fees typed into fills, already part of the fill P&L.
+ * @property {number} trading - Maker/taker fees from the schedule on fills without recorded fees.
+ * @property {number} delivery - Delivery fees on options settled in the money.
+ * @property {number} slippage - Slippage on every fill.
+ * @property {number} funding - Funding paid.
+ * @property {number} total - Every cost above, in USD: the difference between gross and net P&L.
+ */
+
+/**
+ * Returns a copy of the default schedule of a venue, ready to be edited.
+ * @param {string} venue - A key of FEE_SCHEDULES.
+ * @returns {FeeSchedule} The schedule (no fees for unknown venues).
+ */
+export const getFeeSchedule = (venue) => {
+  const schedule = FEE_SCHEDULES[venue] || FEE_SCHEDULES[DEFAULT_VENUE];
+  return { option: { ...schedule.option }, linear: { ...schedule.linear }, slippage: schedule.slippage };
+};
+
+/**
+ * Calculates the schedule fee of one fill.
+ * @param {import('../components/Leg').LegValues} leg - The leg filled.
+ * @param {number} contracts - The contracts filled.
+ * @param {number} priceUsd - The fill premium (options) or price per unit, in USD.
+ * @param {number} underlyingPrice - The underlying price at the fill.
+ * @param {FeeSchedule} schedule - The fee schedule.
+ * @param {string} liquidity - One of LIQUIDITY.
+ * @returns {number} The fee in USD.
+ */
+const calculateFillFee = (leg, contracts, priceUsd, underlyingPrice, schedule, liquidity) => {
+  const multiplier = parseFloat(leg.multiplier) > 0 ? parseFloat(leg.multiplier) : 1;
+  const units = contracts * multiplier;
+  if (!isOptionLeg(leg)) {
+    const rate = liquidity === LIQUIDITY.MAKER ? schedule.linear.maker : schedule.linear.taker;
+    return rate * priceUsd * units;
+  }
+  const { maker, taker, perContract, premiumCap } = schedule.option;
+  const rateFee = (liquidity === LIQUIDITY.MAKER ? maker : taker) * underlyingPrice;
+  const cappedFee = premiumCap > 0 ? Math.min(rateFee, premiumCap * priceUsd) : rateFee;
+  return cappedFee * units + (perContract || 0) * contracts;
+};
+
+/**
+ * Calculates the trading costs of one leg from its fills (or entry and exit prices).
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @param {FeeOptions} options - The schedule and prices.
+ * @returns {StrategyFees} The costs of the leg (funding is per strategy and left at 0).
+ */
+export const calculateLegFees = (leg, { schedule, liquidity = LIQUIDITY.TAKER, entryPrice, closePrice } = {}) => {
+  const fees = { recorded: 0, trading: 0, delivery: 0, slippage: 0, funding: 0, total: 0 };
+  const entry = parseFloat(entryPrice) || 0;
+  const close = parseFloat(closePrice) || 0;
+  const multiplier = parseFloat(leg.multiplier) > 0 ? parseFloat(leg.multiplier) : 1;
+
+  getLegFills(leg).forEach(fill => {
+    const contracts = Math.max(0, parseFloat(fill.quantity) || 0);
+    const underlyingPrice = fill.side === FILL_SIDES.CLOSE && close > 0 ? close : entry;
+    const toUsd = (amount) => (isOptionLeg(leg) ? getLegPremiumUsd({ ...leg, premium: amount }, underlyingPrice) : parseFloat(amount) || 0);
+    const priceUsd = toUsd(fill.price);
+    const recorded = parseFloat(fill.fees);
+    if (!isNaN(recorded)) {
+      fees.recorded += toUsd(recorded);
+    } else if (schedule) {
+      fees.trading += calculateFillFee(leg, contracts, priceUsd, underlyingPrice, schedule, liquidity);
+    }
+    if (schedule) fees.slippage += (schedule.slippage || 0) * priceUsd * contracts * multiplier;
+  });
+
+  // Options exercised, or still open when the strategy settles in the money, pay the delivery fee
+  if (schedule && isOptionLeg(leg) && close > 0) {
+    const strike = parseFloat(leg.strike) || 0;
+    const intrinsic = leg.type === 'Call' ? Math.max(0, close - strike) : Math.max(0, strike - close);
+    const delivered = leg.exercise ? Math.abs(leg.exercise.quantity) : summarizeLegFills(leg).openQuantity * multiplier;
+    if (intrinsic > 0 && delivered > 0) {
+      const { delivery, deliveryCap } = schedule.option;
+      const fee = delivery * close;
+      fees.delivery += (deliveryCap > 0 ? Math.min(fee, deliveryCap * intrinsic) : fee) * delivered;
+    }
+  }
+
+  fees.total = fees.recorded + fees.trading + fees.delivery + fees.slippage;
+  return fees;
+};
+
+/**
+ * Calculates the trading costs of a strategy in USD.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {FeeOptions} [options] - The schedule, prices and funding.
+ * @returns {StrategyFees} The summed costs.
+ */
+export const calculateStrategyFees = (legs, options = {}) => {
+  const totals = legs
+    .map(leg => calculateLegFees(leg, options))
+    .reduce((sum, fees) => ({
+      recorded: sum.recorded + fees.recorded,
+      trading: sum.trading + fees.trading,
+      delivery: sum.delivery + fees.delivery,
+      slippage: sum.slippage + fees.slippage,
+      funding: 0,
+      total: sum.total + fees.total,
+    }), { recorded: 0, trading: 0, delivery: 0, slippage: 0, funding: 0, total: 0 });
+  const funding = parseFloat(options.funding) || 0;
+  return { ...totals, funding, total: totals.total + funding };
+};
+
+/**
+ * Returns the fee options a saved strategy was entered with.
+ * @param {object} strategy - A saved strategy.
+ * @param {number} [closePrice] - The underlying price at close (defaults to the saved settlement price).
+ * @returns {FeeOptions} The schedule, liquidity, prices and funding.
+ */
+export const getStrategyFeeOptions = (strategy, closePrice = parseFloat(strategy.settlement_price)) => ({
+  schedule: strategy.fee_schedule || undefined,
+  liquidity: strategy.liquidity || LIQUIDITY.TAKER,
+  entryPrice: parseFloat(strategy.asset_price),
+  closePrice,
+  funding: strategy.funding,
+});
@@ -0,0 +1,198 @@
+/**
+ * Fills record how a leg was built up and taken down: every open fill adds contracts at a price,
+ * every close fill removes them. Contracts, average entry, realized P&L and the position status
+ * are derived from the fills with the average cost method, in the order the fills were entered.
+ * Legs saved before fills existed are read as one open fill at their premium (or entry price)
+ * plus, when they have an exit price, one close fill for the whole position.
+ */
+
+import { getLegContracts, getLegPremiumUsd, isLinearLeg } from './legUtils';
+
+export const FILL_SIDES = {
+  OPEN: 'open',
+  CLOSE: 'close',
+};
+
+export const POSITION_STATUSES = {
+  OPEN: 'open',
+  PARTIALLY_CLOSED: 'partially closed',
+  CLOSED: 'closed',
+};
+
+/**
+ * @typedef {object} Fill
+ * @property {number} id - Unique within the leg.
+ * @property {'open' | 'close'} side - One of FILL_SIDES.
+ * @property {number} quantity - Contracts filled (or size for spot, perpetual and futures legs).
+ * @property {number} price - Fill premium (options, in the leg's premium currency) or fill price.
+ * @property {string} [date] - The fill date (YYYY-MM-DD).
+ * @property {number} [fees] - Fees paid on the fill, in the same currency as the price.
+ */
+
+/**
+ * @typedef {object} FillSummary
+ * @property {number} openedQuantity - Contracts opened over the life of the leg.
+ * @property {number} closedQuantity - Contracts closed so far.
+ * @property {number} openQuantity - Contracts still open.
+ * @property {number} averageEntry - Average price of the contracts still open (of all opened contracts once closed).
+ * @property {number | null} averageExit - Average price of the close fills, null before the first close.
+ * @property {number} realizedPnl - Realized P&L after fees, in the leg's price currency.
+ * @property {number} fees - Fees paid on all fills.
+ * @property {string} status - One of POSITION_STATUSES.
+ */
+
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Creates a fill.
+ * @param {number} id - An id unique within the leg.
+ * @param {Partial<Fill>} [values] - Initial values.
+ * @returns {Fill} The new fill.
+ */
+export const createFill = (id, values = {}) => ({
+  id,
+  side: FILL_SIDES.OPEN,
+  quantity: '',
+  price: '',
+  date: '',
+  fees: '',
+  ...values,
+});
+
+/**
+ * Returns the next free fill id of a leg.
+ * @param {Fill[]} fills - The existing fills.
+ * @returns {number} The new id.
+ */
+export const getNextFillId = (fills) => fills.reduce((max, fill) => Math.max(max, fill.id || 0), 0) + 1;
+
+/**
+ * True when the leg was entered with explicit fills.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {boolean}
+ */
+export const hasFills = (leg) => Array.isArray(leg.fills) && leg.fills.length > 0;
+
+/**
+ * Returns the fills of a leg, reading legacy legs as a single open fill. An exit price on the leg
+ * closes whatever is still open at that price.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {Fill[]} The fills in the order they were entered.
+ */
+export const getLegFills = (leg) => {
+  const fills = hasFills(leg)
+    ? leg.fills
+    : [createFill(0, { quantity: getLegContracts(leg), price: isLinearLeg(leg) ? leg.entryPrice : leg.premium })];
+
+  const exitPrice = parseFloat(leg.exitPrice);
+  if (isNaN(exitPrice)) return fills;
+  const { openQuantity } = summarizeFills(fills, leg.action);
+  if (openQuantity <= QUANTITY_EPSILON) return fills;
+  return [...fills, createFill(getNextFillId(fills), { side: FILL_SIDES.CLOSE, quantity: openQuantity, price: exitPrice })];
+};
+
+/**
+ * Replays fills with the average cost method.
+ * @param {Fill[]} fills - The fills in order.
+ * @param {string} action - Buy or Sell, the side of the open fills.
+ * @returns {FillSummary} The summary per contract (not yet scaled by the multiplier).
+ */
+const summarizeFills = (fills, action) => {
+  const sign = action === 'Sell' ? -1 : 1;
+  let openQuantity = 0;
+  let openedQuantity = 0;
+  let openedCost = 0;
+  let averageEntry = 0;
+  let closedQuantity = 0;
+  let closedValue = 0;
+  let realizedPnl = 0;
+  let fees = 0;
+
+  fills.forEach(fill => {
+    const quantity = Math.max(0, parseFloat(fill.quantity) || 0);
+    const price = parseFloat(fill.price) || 0;
+    fees += parseFloat(fill.fees) || 0;
+    if (fill.side === FILL_SIDES.CLOSE) {
+      // Closing more than is open is capped at the open quantity
+      const closed = Math.min(quantity, openQuantity);
+      realizedPnl += sign * (price - averageEntry) * closed;
+      closedQuantity += closed;
+      closedValue += price * closed;
+      openQuantity -= closed;
+    } else {
+      averageEntry = openQuantity + quantity > 0 ? (averageEntry * openQuantity + price * quantity) / (openQuantity + quantity) : 0;
+      openQuantity += quantity;
+      openedQuantity += quantity;
+      openedCost += price * quantity;
+    }
+  });
+
+  if (openQuantity <= QUANTITY_EPSILON) openQuantity = 0;
+  let status = POSITION_STATUSES.OPEN;
+  if (closedQuantity > 0) {
+    status = openQuantity > 0 ? POSITION_STATUSES.PARTIALLY_CLOSED : POSITION_STATUSES.CLOSED;
+  }
+
+  return {
+    openedQuantity,
+    closedQuantity,
+    openQuantity,
+    averageEntry: openQuantity > 0 || openedQuantity === 0 ? averageEntry : openedCost / openedQuantity,
+    averageExit: closedQuantity > 0 ? closedValue / closedQuantity : null,
+    realizedPnl,
+    fees,
+    status,
+  };
+};
+
+/**
+ * Summarizes the fills of a leg. Realized P&L is scaled by the contract multiplier and net of fees.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {FillSummary} The derived position.
+ */
+export const summarizeLegFills = (leg) => {
+  const summary = summarizeFills(getLegFills(leg), leg.action);
+  const multiplier = parseFloat(leg.multiplier) > 0 ? parseFloat(leg.multiplier) : 1;
+  return { ...summary, realizedPnl: summary.realizedPnl * multiplier - summary.fees };
+};
+
+/**
+ * Converts the realized P&L of a leg to USD. Coin-quoted option fills are converted at the given price.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @param {number} underlyingPrice - The USD price of the underlying used for the conversion.
+ * @returns {number} The realized P&L in USD.
+ */
+export const getLegRealizedPnlUsd = (leg, underlyingPrice) => {
+  const { realizedPnl } = summarizeLegFills(leg);
+  return getLegPremiumUsd({ ...leg, premium: realizedPnl }, underlyingPrice);
+};
+
+/**
+ * Returns a copy of the leg whose contracts and entry premium (or entry price) follow its fills:
+ * the contracts still open at their average entry, or every contract opened once the leg is closed,
+ * so payoffs and Greeks describe what is still on.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {import('../components/Leg').LegValues} The synced leg (unchanged without explicit fills).
+ */
+export const applyFillsToLeg = (leg) => {
+  if (!hasFills(leg)) return leg;
+  const { openQuantity, openedQuantity, averageEntry } = summarizeFills(leg.fills, leg.action);
+  const priceField = isLinearLeg(leg) ? 'entryPrice' : 'premium';
+  return {
+    ...leg,
+    contracts: openQuantity > 0 ? openQuantity : openedQuantity,
+    [priceField]: parseFloat(averageEntry.toFixed(8)),
+  };
+};
+
+/**
+ * Returns the status of a strategy from the status of its legs.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @returns {string} One of POSITION_STATUSES.
+ */
+export const getStrategyStatus = (legs) => {
+  const statuses = legs.map(leg => summarizeLegFills(leg).status);
+  if (statuses.length > 0 && statuses.every(status => status === POSITION_STATUSES.CLOSED)) return POSITION_STATUSES.CLOSED;
+  if (statuses.some(status => status !== POSITION_STATUSES.OPEN)) return POSITION_STATUSES.PARTIALLY_CLOSED;
+  return POSITION_STATUSES.OPEN;
+};
@@ -0,0 +1,151 @@
+/**
+ * Helpers for building and editing strategy legs in the form.
+ */
+
+// Leg types priced as options
+export const OPTION_LEG_TYPES = ['Call', 'Put'];
+
+// Leg types whose P&L moves one for one with the underlying: spot holdings, perpetual swaps and dated futures
+export const LINEAR_LEG_TYPES = ['Spot', 'Perpetual', 'Future'];
+
+/**
+ * True for Call and Put legs.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {boolean}
+ */
+export const isOptionLeg = (leg) => OPTION_LEG_TYPES.includes(leg.type);
+
+/**
+ * True for Spot, Perpetual and Future legs.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {boolean}
+ */
+export const isLinearLeg = (leg) => LINEAR_LEG_TYPES.includes(leg.type);
+
+// Currencies an option premium can be quoted in. Inverse (coin-margined) options on venues such as
+// Deribit quote premiums in the underlying coin and settle intrinsic value in coin as well
+export const PREMIUM_CURRENCIES = {
+  USD: 'USD',
+  UNDERLYING: 'Underlying',
+};
+
+/**
+ * True for option legs whose premium is quoted in the underlying coin (inverse options).
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {boolean}
+ */
+export const isCoinPremiumLeg = (leg) => isOptionLeg(leg) && leg.premiumCurrency === PREMIUM_CURRENCIES.UNDERLYING;
+
+/**
+ * Returns the premium of one unit of an option leg in USD. A coin-quoted premium is converted at
+ * the given underlying price.
+ * @param {import('../components/Leg').LegValues} leg - The option leg.
+ * @param {number} underlyingPrice - The USD price of the underlying used for the conversion.
+ * @returns {number} The premium per unit in USD.
+ */
+export const getLegPremiumUsd = (leg, underlyingPrice) => {
+  const premium = parseFloat(leg.premium) || 0;
+  return isCoinPremiumLeg(leg) ? premium * underlyingPrice : premium;
+};
+
+// Units of the underlying per contract. Crypto venues such as Deribit quote 1 coin per contract,
+// equity options cover 100 shares
+export const CONTRACT_MULTIPLIERS = {
+  BTC: 1,
+  ETH: 1,
+  SOL: 1,
+};
+const EQUITY_CONTRACT_MULTIPLIER = 100;
+
+/**
+ * Returns the default contract multiplier of an underlying.
+ * @param {string} asset - The underlying symbol.
+ * @returns {number} Units of the underlying per contract (1 when no asset is selected yet).
+ */
+export const getDefaultMultiplier = (asset) => {
+  if (!asset) return 1;
+  return CONTRACT_MULTIPLIERS[asset] ?? EQUITY_CONTRACT_MULTIPLIER;
+};
+
+/**
+ * Returns the number of contracts of a leg. Decimals are allowed (0.1 BTC options), a blank
+ * field counts as 1 and an explicit 0 stays 0.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {number} The contract count.
+ */
+export const getLegContracts = (leg) => {
+  const contracts = parseFloat(leg.contracts);
+  return isNaN(contracts) ? 1 : contracts;
+};
+
+/**
+ * Returns the position size of a leg in units of the underlying: contracts × multiplier.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {number} The quantity every payoff and Greek is scaled by.
+ */
+export const getLegQuantity = (leg) => {
+  const multiplier = parseFloat(leg.multiplier);
+  return getLegContracts(leg) * (multiplier > 0 ? multiplier : 1);
+};
+
+/**
+ * Returns the display label of a leg from its position: A–Z, then AA, AB, … like spreadsheet columns.
+ * @param {number} index - The zero-based position of the leg.
+ * @returns {string} The leg label.
+ */
+export const getLegLabel = (index) => {
+  let label = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const letter = (remaining - 1) % 26;
+    label = String.fromCharCode(65 + letter) + label;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return label;
+};
+
+/**
+ * Creates a blank leg.
+ * @param {number} id - A unique leg id.
+ * @param {Partial<import('../components/Leg').LegValues>} [values] - Initial values.
+ * @returns {import('../components/Leg').LegValues & {id: number}} The new leg.
+ */
+export const createLeg = (id, values = {}) => ({
+  id,
+  action: 'Buy',
+  type: 'Call',
+  strike: '',
+  premium: '',
+  premiumCurrency: PREMIUM_CURRENCIES.USD,
+  contracts: 1,
+  expiry: '',
+  entryPrice: '',
+  exitPrice: '',
+  ...values,
+});
+
+/**
+ * Returns a copy of the leg on the opposite side (Buy becomes Sell and vice versa).
+ * @param {import('../components/Leg').LegValues} leg - The leg to flip.
+ * @returns {import('../components/Leg').LegValues} The flipped leg.
+ */
+export const flipLegAction = (leg) => ({
+  ...leg,
+  action: leg.action === 'Sell' ? 'Buy' : 'Sell',
+});
+
+/**
+ * Moves an item of an array to another position, returning a new array.
+ * @template T
+ * @param {T[]} items - The array.
+ * @param {number} from - The current index of the item.
+ * @param {number} to - The target index.
+ * @returns {T[]} The reordered array (the input is returned unchanged if either index is out of range).
+ */
+export const moveItem = (items, from, to) => {
+  if (from < 0 || from >= items.length || to < 0 || to >= items.length) return items;
+  const reordered = [...items];
+  const [item] = reordered.splice(from, 1);
+  reordered.splice(to, 0, item);
+  return reordered;
+};
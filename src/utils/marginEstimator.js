@@ -0,0 +1,122 @@
+/**
+ * Estimates the initial and maintenance margin of a leg set, so the margin field no longer has to
+ * be looked up on the exchange. Defined-risk option spreads (verticals, condors, butterflies) reserve
+ * their maximum loss at expiry: the width less the credit. Anything else is margined leg by leg
+ * with Deribit's standard-margin rules for short options, the premium for long options, and a
+ * fraction of the notional for perpetuals, futures and short spot. Long spot is paid in full and
+ * needs no margin.
+ */
+
+import { PREMIUM_CURRENCIES, getLegPremiumUsd, getLegQuantity, isOptionLeg } from './legUtils';
+import { analyzeExpiryPayoff } from './payoffEngine';
+
+export const MARGIN_METHODS = {
+  SPREAD: 'spread',
+  STANDARD: 'standard',
+};
+
+// Deribit standard margin for short options, as fractions of the underlying per unit
+const OPTION_MARGIN = {
+  initialBase: 0.15,
+  initialFloor: 0.1,
+  maintenance: 0.075,
+};
+
+// Initial and maintenance margin of perpetuals, futures and short spot, as fractions of the notional
+const LINEAR_MARGIN = {
+  initial: 0.02,
+  maintenance: 0.01,
+};
+
+/**
+ * @typedef {object} MarginEstimate
+ * @property {number} initial - The initial margin in USD.
+ * @property {number} maintenance - The maintenance margin in USD.
+ * @property {string} method - One of MARGIN_METHODS.
+ * @property {number | null} initialCoin - The initial margin in the underlying coin, for coin-settled accounts.
+ * @property {number | null} maintenanceCoin - The maintenance margin in the underlying coin.
+ */
+
+/**
+ * Calculates the standard margin of one short option, per unit of the underlying, in USD.
+ * @param {import('../components/Leg').LegValues} leg - The short option leg.
+ * @param {number} underlyingPrice - The underlying price.
+ * @returns {{initial: number, maintenance: number}} The margin per unit.
+ */
+const calculateShortOptionMargin = (leg, underlyingPrice) => {
+  const strike = parseFloat(leg.strike) || 0;
+  const markPrice = getLegPremiumUsd(leg, underlyingPrice) / underlyingPrice;
+  const otmAmount = leg.type === 'Call' ? Math.max(0, strike - underlyingPrice) : Math.max(0, underlyingPrice - strike);
+  const maintenance = leg.type === 'Call'
+    ? OPTION_MARGIN.maintenance + markPrice
+    : Math.max(OPTION_MARGIN.maintenance, OPTION_MARGIN.maintenance * markPrice) + markPrice;
+  const initial = Math.max(OPTION_MARGIN.initialBase - otmAmount / underlyingPrice, OPTION_MARGIN.initialFloor) + markPrice;
+  return {
+    initial: Math.max(initial, maintenance) * underlyingPrice,
+    maintenance: maintenance * underlyingPrice,
+  };
+};
+
+/**
+ * True for option-only leg sets on one expiry with both bought and sold options and a bounded
+ * loss at expiry: verticals, condors, butterflies and the like.
+ * @param {Array<import('../components/Leg').LegValues>} legs - The legs, premiums in USD.
+ * @param {number | 'Unlimited'} maxLoss - The expiry max loss of the legs.
+ * @returns {boolean}
+ */
+const isDefinedRiskSpread = (legs, maxLoss) => {
+  if (legs.length < 2 || !legs.every(isOptionLeg)) return false;
+  if (new Set(legs.map(leg => leg.expiry || '')).size > 1) return false;
+  if (!legs.some(leg => leg.action === 'Buy') || !legs.some(leg => leg.action === 'Sell')) return false;
+  return maxLoss !== 'Unlimited';
+};
+
+/**
+ * Estimates the margin of a leg set.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} underlyingPrice - The underlying price at entry.
+ * @returns {MarginEstimate | null} The estimate, or null without a price.
+ */
+export const estimateMargin = (legs, underlyingPrice) => {
+  if (!(underlyingPrice > 0) || legs.length === 0) return null;
+  const toEstimate = (initial, maintenance, method) => ({
+    initial: parseFloat(initial.toFixed(2)),
+    maintenance: parseFloat(maintenance.toFixed(2)),
+    method,
+    initialCoin: parseFloat((initial / underlyingPrice).toFixed(8)),
+    maintenanceCoin: parseFloat((maintenance / underlyingPrice).toFixed(8)),
+  });
+
+  // Coin premiums are fixed in USD at entry so the spread payoff does not move with the price
+  const usdLegs = legs.map(leg => (isOptionLeg(leg)
+    ? { ...leg, premium: getLegPremiumUsd(leg, underlyingPrice), premiumCurrency: PREMIUM_CURRENCIES.USD }
+    : leg));
+  const { maxLoss } = analyzeExpiryPayoff(usdLegs);
+  if (isDefinedRiskSpread(usdLegs, maxLoss)) {
+    const reserved = Math.max(0, -maxLoss);
+    return toEstimate(reserved, reserved, MARGIN_METHODS.SPREAD);
+  }
+
+  let initial = 0;
+  let maintenance = 0;
+  usdLegs.forEach(leg => {
+    const quantity = getLegQuantity(leg);
+    if (isOptionLeg(leg)) {
+      if (leg.action === 'Sell') {
+        const margin = calculateShortOptionMargin(leg, underlyingPrice);
+        initial += margin.initial * quantity;
+        maintenance += margin.maintenance * quantity;
+      } else {
+        // A long option is paid for in full and needs no margin beyond its premium
+        initial += (parseFloat(leg.premium) || 0) * quantity;
+      }
+      return;
+    }
+    // Long spot is paid for in full; short spot is borrowed and margined like a perpetual
+    if (leg.type === 'Spot' && leg.action === 'Buy') return;
+    const notional = (parseFloat(leg.entryPrice) || underlyingPrice) * quantity;
+    initial += notional * LINEAR_MARGIN.initial;
+    maintenance += notional * LINEAR_MARGIN.maintenance;
+  });
+  return toEstimate(initial, maintenance, MARGIN_METHODS.STANDARD);
+};
@@ -0,0 +1,95 @@
+/**
+ * Mark-to-market of open strategies. The contracts still open in a pending strategy are valued
+ * with the pricing model at the current underlying price and a volatility: the one entered for
+ * the strategy, or else the average its options were entered at. Without a volatility they are
+ * valued at intrinsic value. Unrealized P&L is always reported apart from realized P&L, which for
+ * a pending strategy is what its partial closes already took off the table.
+ */
+
+import { calculateStrategyTheoreticalValue } from './pricing';
+import { calculateOpenPnl } from './payoffEngine';
+import { getLegRealizedPnlUsd } from './fillUtils';
+import { getAverageEntryIv, getOpenStrategyLegs, isUndatedOptionLeg } from './portfolioRisk';
+
+export const MARK_METHODS = {
+  MODEL: 'model',
+  INTRINSIC: 'intrinsic',
+};
+
+/**
+ * @typedef {object} StrategyMark
+ * @property {number} unrealizedPnl - P&L of the open contracts at the mark, in USD.
+ * @property {number} underlyingPrice - The price marked at.
+ * @property {number | null} volatility - The volatility marked at as a decimal, null at intrinsic value.
+ * @property {boolean} enteredVolatility - True when the volatility was entered for the strategy rather than taken from its legs.
+ * @property {string} method - One of MARK_METHODS.
+ */
+
+/**
+ * Returns the volatility a strategy is marked at: the one entered for it (`mark_iv`), or else
+ * the average implied volatility of its open options at entry.
+ * @param {object} strategy - A saved strategy.
+ * @returns {number | null} The volatility as a decimal, or null when there is none.
+ */
+export const getMarkVolatility = (strategy) => {
+  const entered = parseFloat(strategy.mark_iv);
+  if (entered > 0) return entered;
+  return getAverageEntryIv(getOpenStrategyLegs(strategy));
+};
+
+/**
+ * Returns the P&L a pending strategy has realized from partial closes, in USD. Coin-quoted fills are
+ * converted at the entry price, so the figure does not move with the market.
+ * @param {object} strategy - A saved strategy.
+ * @returns {number} The realized P&L, 0 for closed strategies (their P&L is saved) and without closes.
+ */
+export const getPartialRealizedPnl = (strategy) => {
+  if (strategy.trade_outcome !== 'pending') return 0;
+  const price = parseFloat(strategy.asset_price) || 0;
+  return (strategy.legs || []).reduce((total, leg) => total + getLegRealizedPnlUsd(leg, price), 0);
+};
+
+/**
+ * Marks the open contracts of a pending strategy to model.
+ * @param {object} strategy - A saved strategy.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @param {Date} [valuationDate=new Date()] - The valuation date.
+ * @returns {StrategyMark | null} The mark, or null for closed strategies, without a price and when
+ *   an open option has no expiry date to value its time value with.
+ */
+export const markStrategyToMarket = (strategy, underlyingPrice, valuationDate = new Date()) => {
+  if (strategy.trade_outcome !== 'pending' || !(underlyingPrice > 0)) return null;
+  const legs = getOpenStrategyLegs(strategy);
+  if (legs.some(isUndatedOptionLeg)) return null;
+  const volatility = getMarkVolatility(strategy);
+  const unrealizedPnl = volatility
+    ? calculateStrategyTheoreticalValue(legs, underlyingPrice, { volatility, rate: 0, time: 0, valuationDate }).pnl
+    : calculateOpenPnl(legs, underlyingPrice);
+  return {
+    unrealizedPnl,
+    underlyingPrice,
+    volatility,
+    enteredVolatility: parseFloat(strategy.mark_iv) > 0,
+    method: volatility ? MARK_METHODS.MODEL : MARK_METHODS.INTRINSIC,
+  };
+};
+
+/**
+ * Sums the unrealized P&L of every pending strategy that has a price.
+ * @param {Array<object>} strategies - The saved strategies.
+ * @param {Object<string, number>} [prices] - Current prices by underlying.
+ * @param {Date} [valuationDate=new Date()] - The valuation date.
+ * @returns {{unrealizedPnl: number, markedPositions: number, unmarkedPositions: number}} The total in USD and
+ *   the number of open strategies marked and left unmarked for want of a price or an expiry date.
+ */
+export const summarizeUnrealizedPnl = (strategies, prices, valuationDate = new Date()) => {
+  const open = strategies.filter(strategy => strategy.trade_outcome === 'pending');
+  const marks = open
+    .map(strategy => markStrategyToMarket(strategy, prices?.[strategy.underlying_asset], valuationDate))
+    .filter(Boolean);
+  return {
+    unrealizedPnl: marks.reduce((total, mark) => total + mark.unrealizedPnl, 0),
+    markedPositions: marks.length,
+    unmarkedPositions: open.length - marks.length,
+  };
+};
@@ -0,0 +1,217 @@
+/**
+ * Monte Carlo distribution of a strategy's P&L at the front expiry. Terminal prices are drawn from
+ * a lognormal distribution at the implied volatility, or bootstrapped from historical daily log
+ * returns, and run through the expiration payoff. Every draw comes from a seeded generator, so the
+ * same inputs and seed always give the same distribution.
+ */
+
+import { PRICING_MODELS, getFrontExpiry, yearsUntil } from './pricing';
+import { calculateStrategyPayoff } from './payoffEngine';
+
+export const DISTRIBUTIONS = {
+  LOGNORMAL: 'lognormal',
+  HISTORICAL: 'historical',
+};
+
+export const DEFAULT_PATHS = 10000;
+export const DEFAULT_SEED = 42;
+export const DEFAULT_HISTOGRAM_BINS = 40;
+
+// Confidence level of the CVaR: the mean of the worst 5% of outcomes
+const CVAR_LEVEL = 0.95;
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * @typedef {object} MonteCarloResult
+ * @property {number} paths - The number of simulated prices.
+ * @property {number} horizonDays - Days from today to the front expiry.
+ * @property {number} expectedPnl - Mean P&L in USD.
+ * @property {number} stdDev - Standard deviation of the P&L in USD.
+ * @property {Object<number, number>} percentiles - P&L at the 5th, 25th, 50th, 75th and 95th percentiles.
+ * @property {number} probProfit - Share of outcomes above zero, in percent.
+ * @property {number} probLossBeyond - Share of outcomes losing more than the loss threshold, in percent.
+ * @property {number} lossThreshold - The loss threshold in USD.
+ * @property {number} cvar - Mean P&L of the worst 5% of outcomes (the 95% CVaR), in USD.
+ * @property {Array<{from: number, to: number, count: number}>} histogram - P&L bins, lowest first.
+ */
+
+/**
+ * Returns a seeded pseudo-random generator (mulberry32) drawing uniformly from [0, 1).
+ * @param {number} seed - Any integer.
+ * @returns {() => number} The generator.
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draws a standard normal variate with the Box-Muller transform.
+ * @param {() => number} random - A uniform generator.
+ * @returns {number} The variate.
+ */
+const drawNormal = (random) => {
+  const u = 1 - random(); // (0, 1], so the logarithm stays finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Converts a series of closing prices, oldest first, into daily log returns.
+ * @param {number[]} closes - The closing prices.
+ * @returns {number[]} The log returns.
+ */
+export const toLogReturns = (closes) => closes
+  .slice(1)
+  .map((close, i) => Math.log(close / closes[i]))
+  .filter(value => Number.isFinite(value));
+
+/**
+ * Simulates terminal prices of the underlying.
+ * @param {number} assetPrice - The current underlying price.
+ * @param {object} options - The distribution inputs.
+ * @param {number} options.paths - The number of prices to draw.
+ * @param {number} options.seed - The generator seed.
+ * @param {number} options.time - Years to the horizon.
+ * @param {string} [options.distribution=DISTRIBUTIONS.LOGNORMAL] - One of DISTRIBUTIONS.
+ * @param {number} [options.volatility] - Annualized volatility as a decimal, for the lognormal distribution.
+ * @param {number} [options.rate=0] - Risk-free rate as a decimal; the drift under Black-Scholes.
+ * @param {string} [options.model] - One of PRICING_MODELS; Black-76 prices a driftless forward.
+ * @param {number[]} [options.historicalReturns] - Daily log returns to bootstrap from.
+ * @returns {number[]} The terminal prices.
+ */
+export const simulateTerminalPrices = (assetPrice, {
+  paths,
+  seed,
+  time,
+  distribution = DISTRIBUTIONS.LOGNORMAL,
+  volatility,
+  rate = 0,
+  model = PRICING_MODELS.BLACK_76,
+  historicalReturns = [],
+}) => {
+  const random = createRandom(seed);
+
+  if (distribution === DISTRIBUTIONS.HISTORICAL) {
+    // One drawn daily return per day to the horizon
+    const days = Math.max(1, Math.round(time * 365));
+    return Array.from({ length: paths }, () => {
+      let logReturn = 0;
+      for (let day = 0; day < days; day++) {
+        logReturn += historicalReturns[Math.floor(random() * historicalReturns.length)];
+      }
+      return assetPrice * Math.exp(logReturn);
+    });
+  }
+
+  const drift = model === PRICING_MODELS.BLACK_SCHOLES ? rate : 0;
+  const mean = (drift - (volatility * volatility) / 2) * time;
+  const deviation = volatility * Math.sqrt(time);
+  return Array.from({ length: paths }, () => assetPrice * Math.exp(mean + deviation * drawNormal(random)));
+};
+
+/**
+ * Returns the value at a percentile of sorted values, interpolating between neighbours.
+ * @param {number[]} sorted - Values in ascending order.
+ * @param {number} percentile - The percentile, 0 to 100.
+ * @returns {number} The value.
+ */
+const getPercentile = (sorted, percentile) => {
+  const position = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Groups sorted values into equal-width bins.
+ * @param {number[]} sorted - Values in ascending order.
+ * @param {number} binCount - The number of bins.
+ * @returns {Array<{from: number, to: number, count: number}>} The bins.
+ */
+const buildHistogram = (sorted, binCount) => {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (max === min) return [{ from: min, to: max, count: sorted.length }];
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  sorted.forEach(value => {
+    bins[Math.min(binCount - 1, Math.floor((value - min) / width))].count += 1;
+  });
+  return bins;
+};
+
+/**
+ * Runs the Monte Carlo simulation of a strategy to its front expiry.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} assetPrice - The current underlying price.
+ * @param {object} options - The simulation inputs.
+ * @param {number} [options.volatility] - Annualized implied volatility as a decimal.
+ * @param {number} [options.rate=0] - Risk-free rate as a decimal.
+ * @param {string} [options.model] - One of PRICING_MODELS.
+ * @param {string} [options.distribution=DISTRIBUTIONS.LOGNORMAL] - One of DISTRIBUTIONS.
+ * @param {number[]} [options.historicalReturns] - Daily log returns, for the historical distribution.
+ * @param {number} [options.paths=DEFAULT_PATHS] - The number of simulated prices.
+ * @param {number} [options.seed=DEFAULT_SEED] - The generator seed.
+ * @param {number} [options.lossThreshold=0] - Losses beyond this amount in USD count towards probLossBeyond.
+ * @param {number} [options.bins=DEFAULT_HISTOGRAM_BINS] - The number of histogram bins.
+ * @param {Date} [options.today=new Date()] - The simulation start date.
+ * @returns {MonteCarloResult | null} The distribution, or null without a price, an expiry or distribution inputs.
+ */
+export const runMonteCarlo = (legs, assetPrice, {
+  volatility,
+  rate = 0,
+  model,
+  distribution = DISTRIBUTIONS.LOGNORMAL,
+  historicalReturns = [],
+  paths = DEFAULT_PATHS,
+  seed = DEFAULT_SEED,
+  lossThreshold = 0,
+  bins = DEFAULT_HISTOGRAM_BINS,
+  today = new Date(),
+}) => {
+  const frontExpiry = getFrontExpiry(legs);
+  if (!(assetPrice > 0) || !frontExpiry || !(paths > 0)) return null;
+  if (distribution === DISTRIBUTIONS.LOGNORMAL && !(volatility > 0)) return null;
+  if (distribution === DISTRIBUTIONS.HISTORICAL && historicalReturns.length === 0) return null;
+
+  const time = yearsUntil(frontExpiry, today);
+  const prices = simulateTerminalPrices(assetPrice, {
+    paths: Math.floor(paths),
+    seed,
+    time,
+    distribution,
+    volatility,
+    rate,
+    model,
+    historicalReturns,
+  });
+  // Legs expiring after the front expiry keep their model value, as on the payoff chart
+  const pricingParams = volatility > 0 ? { volatility, rate, model } : undefined;
+  const pnls = prices.map(price => calculateStrategyPayoff(legs, price, pricingParams)).sort((a, b) => a - b);
+
+  const count = pnls.length;
+  const expectedPnl = pnls.reduce((sum, pnl) => sum + pnl, 0) / count;
+  const variance = pnls.reduce((sum, pnl) => sum + (pnl - expectedPnl) ** 2, 0) / count;
+  const tailCount = Math.max(1, Math.ceil(count * (1 - CVAR_LEVEL)));
+  const threshold = Math.abs(parseFloat(lossThreshold) || 0);
+
+  return {
+    paths: count,
+    horizonDays: Math.round(time * 365),
+    expectedPnl,
+    stdDev: Math.sqrt(variance),
+    percentiles: Object.fromEntries(PERCENTILES.map(percentile => [percentile, getPercentile(pnls, percentile)])),
+    probProfit: (pnls.filter(pnl => pnl > 0).length / count) * 100,
+    probLossBeyond: (pnls.filter(pnl => pnl < -threshold).length / count) * 100,
+    lossThreshold: threshold,
+    cvar: pnls.slice(0, tailCount).reduce((sum, pnl) => sum + pnl, 0) / tailCount,
+    histogram: buildHistogram(pnls, bins),
+  };
+};
@@ -0,0 +1,303 @@
+/**
+ * Single payoff engine for expiration P&L.
+ * The payoff chart, the strategy metrics and the seed script all price legs and pick
+ * their price range here, so chart annotations and metric cards always agree.
+ * When legs expire on different dates, "expiration" means the front expiry: front-month legs
+ * settle at intrinsic value and later legs are marked at their theoretical value on that date.
+ */
+
+import { calculateLegTheoreticalValue, getFrontExpiry, hasMixedExpiries, parseExpiryDate } from './pricing';
+import { getLegPremiumUsd, getLegQuantity, isLinearLeg, isOptionLeg } from './legUtils';
+import { POSITION_STATUSES, getLegRealizedPnlUsd, getStrategyStatus, summarizeLegFills } from './fillUtils';
+
+// Grid used to scan payoffs that are curved by back-month legs
+const SAMPLED_STEPS = 600;
+const SAMPLED_RANGE_MULTIPLIER = 3;
+
+/**
+ * Calculates the profit/loss in USD for a single leg at a given asset price.
+ * Spot, perpetual and futures legs gain one unit per unit move above their entry price.
+ * Inverse options settle intrinsic / settlement price coins, which is worth the intrinsic value in
+ * USD, while their coin premium is worth premium × settlement price.
+ * @param {import('../components/Leg').LegValues} leg - The leg data.
+ * @param {number} assetPrice - The asset price at expiration.
+ * @returns {number} The profit or loss for the leg.
+ */
+export const calculateLegPayoff = (leg, assetPrice) => {
+  const strike = parseFloat(leg.strike) || 0;
+  const premium = getLegPremiumUsd(leg, assetPrice);
+  const quantity = getLegQuantity(leg);
+  let payoff = 0;
+
+  if (isLinearLeg(leg)) {
+    payoff = assetPrice - (parseFloat(leg.entryPrice) || 0);
+  } else if (leg.type === 'Call') {
+    payoff = Math.max(0, assetPrice - strike) - premium;
+  } else if (leg.type === 'Put') {
+    payoff = Math.max(0, strike - assetPrice) - premium;
+  }
+
+  if (leg.action === 'Sell') {
+    payoff = -payoff;
+  }
+
+  return payoff * quantity;
+};
+
+/**
+ * True when the expiry payoff has back-month legs that must be valued with a pricing model.
+ * Without a volatility every leg falls back to its intrinsic payoff.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and model for back-month legs.
+ * @returns {boolean}
+ */
+export const hasModelledPayoff = (legs, pricingParams) => {
+  return hasMixedExpiries(legs) && !!pricingParams && pricingParams.volatility > 0;
+};
+
+/**
+ * Calculates the total profit/loss for a strategy at a given asset price.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} assetPrice - The asset price at (front) expiration.
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and model for back-month legs.
+ * @returns {number} The total profit or loss for the strategy.
+ */
+export const calculateStrategyPayoff = (legs, assetPrice, pricingParams) => {
+  const frontExpiry = hasModelledPayoff(legs, pricingParams) ? getFrontExpiry(legs) : null;
+  let totalPayoff = 0;
+  legs.forEach(leg => {
+    if (frontExpiry && leg.expiry && parseExpiryDate(leg.expiry) > frontExpiry) {
+      totalPayoff += calculateLegTheoreticalValue(leg, assetPrice, { ...pricingParams, valuationDate: frontExpiry }).pnl;
+    } else {
+      totalPayoff += calculateLegPayoff(leg, assetPrice);
+    }
+  });
+  return totalPayoff;
+};
+
+/**
+ * Calculates the P&L of a strategy at a settlement price in USD and in the underlying coin.
+ * Coin-settled (inverse) P&L is the USD P&L divided by the settlement price.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} settlementPrice - The underlying price the strategy settles at.
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and model for back-month legs.
+ * @returns {{usd: number, coin: number | null}} The P&L in USD and in coin (null without a positive settlement price).
+ */
+export const calculateSettlementPnl = (legs, settlementPrice, pricingParams) => {
+  const usd = calculateStrategyPayoff(legs, settlementPrice, pricingParams);
+  return { usd, coin: settlementPrice > 0 ? usd / settlementPrice : null };
+};
+
+/**
+ * Returns the contracts of a leg that are still open, at their average entry, as a leg.
+ * @param {import('../components/Leg').LegValues} leg - The leg data.
+ * @returns {import('../components/Leg').LegValues | null} The open remainder, or null once the leg is closed.
+ */
+export const getOpenRemainder = (leg) => {
+  const { openQuantity, averageEntry } = summarizeLegFills(leg);
+  if (openQuantity <= 0) return null;
+  return { ...leg, contracts: openQuantity, [isLinearLeg(leg) ? 'entryPrice' : 'premium']: averageEntry };
+};
+
+/**
+ * Calculates the realized P&L in USD of a single closed leg. Close fills (or the exit premium) are
+ * realized at their price; contracts still open are settled at expiry at their intrinsic value.
+ * Coin-quoted premiums are converted at the close price.
+ * @param {import('../components/Leg').LegValues} leg - The leg data.
+ * @param {number} closePrice - The underlying price when the strategy was closed or settled.
+ * @returns {number} The realized profit or loss for the leg, net of fees.
+ */
+export const calculateLegRealizedPnl = (leg, closePrice) => {
+  const realized = getLegRealizedPnlUsd(leg, closePrice);
+  const remainder = getOpenRemainder(leg);
+  return remainder ? realized + calculateLegPayoff(remainder, closePrice) : realized;
+};
+
+/**
+ * Calculates the expiry-value P&L of the contracts still open at an underlying price.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @returns {number} The open P&L in USD.
+ */
+export const calculateOpenPnl = (legs, underlyingPrice) => {
+  return legs.reduce((total, leg) => {
+    const remainder = getOpenRemainder(leg);
+    return remainder ? total + calculateLegPayoff(remainder, underlyingPrice) : total;
+  }, 0);
+};
+
+/**
+ * Calculates the realized P&L of a strategy in USD and in the underlying coin. With a close price
+ * every leg is closed or settled at it; without one, only a strategy whose fills close every leg
+ * is realized, converted at the reference price.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} [closePrice] - The underlying price when the strategy was closed or settled.
+ * @param {number} [referencePrice] - The price coin amounts are converted at without a close price.
+ * @returns {{usd: number, coin: number | null} | null} The realized P&L, or null while the strategy is open.
+ */
+export const calculateRealizedPnl = (legs, closePrice, referencePrice) => {
+  if (closePrice > 0) {
+    const usd = legs.reduce((total, leg) => total + calculateLegRealizedPnl(leg, closePrice), 0);
+    return { usd, coin: usd / closePrice };
+  }
+  if (getStrategyStatus(legs) !== POSITION_STATUSES.CLOSED) return null;
+  const price = referencePrice > 0 ? referencePrice : 0;
+  const usd = legs.reduce((total, leg) => total + getLegRealizedPnlUsd(leg, price), 0);
+  return { usd, coin: price > 0 ? usd / price : null };
+};
+
+/**
+ * Returns the sorted unique option strikes of a strategy, the only prices where the expiry payoff bends.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @returns {number[]} The sorted strikes.
+ */
+export const getPayoffKinks = (legs) => {
+  return [...new Set(legs.filter(isOptionLeg).map(leg => parseFloat(leg.strike)).filter(strike => strike > 0))].sort((a, b) => a - b);
+};
+
+/**
+ * Bisects a sign change of a curved payoff between two prices.
+ * @param {function(number): number} payoffAt - The payoff function.
+ * @param {number} low - A price where the payoff has sign lowSign.
+ * @param {number} high - A price where the payoff has the opposite sign.
+ * @param {number} lowSign - The sign of the payoff at low.
+ * @returns {number} The breakeven price.
+ */
+const findBreakeven = (payoffAt, low, high, lowSign) => {
+  for (let i = 0; i < 60 && high - low > 1e-9 * Math.max(1, high); i++) {
+    const mid = (low + high) / 2;
+    if (Math.sign(payoffAt(mid)) === lowSign) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * @typedef {object} ExpiryPayoffAnalysis
+ * @property {number | 'Unlimited'} maxProfit - The maximum profit at (front) expiry.
+ * @property {number | 'Unlimited'} maxLoss - The maximum loss at (front) expiry.
+ * @property {number[]} breakevens - The sorted breakeven prices.
+ * @property {number[]} kinks - The prices the payoff was evaluated at, starting at 0.
+ * @property {number} upsideSlope - The payoff slope beyond the evaluated prices.
+ * @property {boolean} isExact - False when back-month legs curve the payoff and it was sampled.
+ */
+
+/**
+ * Analyses the expiration payoff exactly. The payoff is piecewise linear with kinks only at the
+ * strikes, so its extremes lie at a price of 0, at a strike, or at infinity (when the slope beyond
+ * the highest strike is not flat), and each breakeven lies on a single linear segment.
+ * With priced back-month legs the payoff is curved, so it is sampled on a fine grid instead and
+ * breakevens are refined by bisection.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and model for back-month legs.
+ * @returns {ExpiryPayoffAnalysis} The payoff extremes and breakevens.
+ */
+export const analyzeExpiryPayoff = (legs, pricingParams) => {
+  const isExact = !hasModelledPayoff(legs, pricingParams);
+  const payoffAt = (price) => calculateStrategyPayoff(legs, price, pricingParams);
+
+  const strikes = getPayoffKinks(legs);
+  let kinks = [0, ...strikes];
+  if (!isExact) {
+    // Far beyond the strikes every back-month option is close to its intrinsic value again
+    const end = Math.max(1, ...strikes) * SAMPLED_RANGE_MULTIPLIER;
+    const grid = Array.from({ length: SAMPLED_STEPS + 1 }, (_, i) => (end * i) / SAMPLED_STEPS);
+    kinks = [...new Set([...grid, ...strikes])].sort((a, b) => a - b);
+  }
+  const points = kinks.map(price => ({ price, pnl: payoffAt(price) }));
+
+  // Beyond the last kink the payoff is a straight line, so one extra evaluation gives its slope
+  const lastKink = kinks[kinks.length - 1];
+  const farPrice = lastKink + Math.max(1, lastKink);
+  const upsideSlope = (payoffAt(farPrice) - points[points.length - 1].pnl) / (farPrice - lastKink);
+
+  const scale = Math.max(1, ...points.map(p => Math.abs(p.pnl)));
+  const epsilon = scale * 1e-9;
+  const sign = (value) => (Math.abs(value) <= epsilon ? 0 : Math.sign(value));
+  const slopeSign = sign(upsideSlope * Math.max(1, lastKink));
+
+  const pnlValues = points.map(p => p.pnl);
+  const maxProfit = slopeSign > 0 ? 'Unlimited' : Math.max(...pnlValues);
+  const maxLoss = slopeSign < 0 ? 'Unlimited' : Math.min(...pnlValues);
+
+  const breakevens = [];
+  points.forEach((point, i) => {
+    const next = points[i + 1];
+    const currentSign = sign(point.pnl);
+    const nextSign = next ? sign(next.pnl) : slopeSign;
+
+    if (currentSign === 0 && i > 0) {
+      // A kink that sits exactly on zero is a breakeven only if the payoff changes sign across it
+      const previousSign = sign(points[i - 1].pnl);
+      if (previousSign !== 0 && nextSign !== 0 && previousSign !== nextSign) {
+        breakevens.push(point.price);
+      }
+    } else if (currentSign !== 0 && nextSign !== 0 && currentSign !== nextSign) {
+      if (!next) {
+        breakevens.push(point.price - point.pnl / upsideSlope);
+      } else if (isExact) {
+        breakevens.push(point.price - point.pnl * (next.price - point.price) / (next.pnl - point.pnl));
+      } else {
+        breakevens.push(findBreakeven(payoffAt, point.price, next.price, currentSign));
+      }
+    }
+  });
+
+  return { maxProfit, maxLoss, breakevens, kinks, upsideSlope, isExact };
+};
+
+/**
+ * The price range policy shared by every payoff view: it spans the strikes, the entry prices of
+ * linear legs, the breakevens and the current price, padded on each side by the width of that
+ * span (at least 20% of the top).
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} [assetPrice] - The current asset price.
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and model for back-month legs.
+ * @returns {{start: number, end: number}} The price range to evaluate.
+ */
+export const getPayoffPriceRange = (legs, assetPrice, pricingParams) => {
+  const { breakevens } = analyzeExpiryPayoff(legs, pricingParams);
+  const entryPrices = legs.filter(isLinearLeg).map(leg => parseFloat(leg.entryPrice)).filter(price => price > 0);
+  const references = [...getPayoffKinks(legs), ...entryPrices, ...breakevens];
+  if (assetPrice > 0) references.push(assetPrice);
+  if (references.length === 0) return { start: 0, end: 100 };
+
+  const low = Math.min(...references);
+  const high = Math.max(...references);
+  const padding = Math.max(high - low, high * 0.2);
+
+  return { start: Math.max(0, low - padding), end: high + padding };
+};
+
+/**
+ * Generates expiration payoff points over the shared price range. Strikes and breakevens are
+ * always included so the hockey stick bends and crosses zero at the exact prices.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} [assetPrice] - The current asset price.
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and model for back-month legs.
+ * @param {number} [steps=200] - Number of evenly spaced prices in the range.
+ * @returns {Array<{x: number, y: number}>} Price and payoff points sorted by price.
+ */
+export const generatePayoffPoints = (legs, assetPrice, pricingParams, steps = 200) => {
+  const { start, end } = getPayoffPriceRange(legs, assetPrice, pricingParams);
+  const step = (end - start) / steps;
+  const prices = new Set(); // Use Set to avoid duplicate x values
+
+  for (let i = 0; i <= steps; i++) {
+    prices.add(start + i * step);
+  }
+  const { breakevens } = analyzeExpiryPayoff(legs, pricingParams);
+  [...getPayoffKinks(legs), ...breakevens].forEach(price => {
+    if (price >= start && price <= end) {
+      prices.add(price);
+    }
+  });
+
+  return Array.from(prices).sort((a, b) => a - b).map(price => ({
+    x: price,
+    y: calculateStrategyPayoff(legs, price, pricingParams)
+  }));
+};
@@ -0,0 +1,156 @@
+/**
+ * Portfolio risk of one underlying: the contracts still open in every pending strategy on it are
+ * combined into a single leg set, so the payoff chart, the T+0 curve and the Greeks show the real
+ * exposure across all open trades instead of one strategy at a time.
+ */
+
+import { calculateStrategyGreeks, calculateStrategyTheoreticalValue } from './pricing';
+import { calculateOpenPnl, getOpenRemainder } from './payoffEngine';
+import { isOptionLeg } from './legUtils';
+
+// Underlying move used to rank the positions by the P&L they add in a shock, either way
+export const RISK_SHOCK = 0.1;
+
+/**
+ * @typedef {object} PortfolioPosition
+ * @property {object} strategy - The saved strategy.
+ * @property {Array<import('../components/Leg').LegValues>} legs - Its open contracts.
+ * @property {import('./pricing').Greeks | null} greeks - Its net Greeks, null without a volatility.
+ * @property {number} dollarDelta - Delta × underlying price, in USD.
+ * @property {number} openPnl - P&L today: theoretical with a volatility, intrinsic without.
+ * @property {{down: number, up: number}} shockPnl - P&L change in a RISK_SHOCK move down and up, in USD.
+ * @property {number} risk - The larger absolute shock P&L, used to rank positions.
+ */
+
+/**
+ * @typedef {object} PortfolioRisk
+ * @property {Array<import('../components/Leg').LegValues>} legs - The open contracts of every position.
+ * @property {import('./pricing').Greeks | null} greeks - Net Greeks, null without a volatility.
+ * @property {number} dollarDelta - Net delta × underlying price, in USD.
+ * @property {number} openPnl - Net P&L today.
+ * @property {{down: number, up: number}} shockPnl - Net P&L change in a RISK_SHOCK move down and up.
+ * @property {PortfolioPosition[]} positions - The positions, largest risk first.
+ * @property {number} undatedPositions - Positions with options that have no expiry date, their own or
+ *   their strategy's; those options are valued at intrinsic value, without time value.
+ */
+
+/**
+ * Returns the open contracts of a pending strategy, tagged with the strategy they belong to.
+ * Options saved before legs had their own expiry take the strategy's close date as their expiry,
+ * so they keep their time value.
+ * @param {object} strategy - A saved strategy.
+ * @returns {Array<import('../components/Leg').LegValues>} The legs still open, closed and exercised legs left out.
+ */
+export const getOpenStrategyLegs = (strategy) => {
+  if (strategy.trade_outcome !== 'pending') return [];
+  return (strategy.legs || [])
+    .map(getOpenRemainder)
+    .filter(Boolean)
+    .map(leg => ({
+      ...leg,
+      id: `${strategy.id}-${leg.id}`,
+      strategyId: strategy.id,
+      ...(isOptionLeg(leg) && !leg.expiry && strategy.close_date ? { expiry: strategy.close_date } : {}),
+    }));
+};
+
+/**
+ * True for option legs without an expiry date, their own or their strategy's: they have no time to
+ * expiry to be valued with, only intrinsic value.
+ * @param {import('../components/Leg').LegValues} leg - The leg.
+ * @returns {boolean}
+ */
+export const isUndatedOptionLeg = (leg) => isOptionLeg(leg) && !leg.expiry;
+
+/**
+ * Returns the underlyings with open contracts.
+ * @param {Array<object>} strategies - The saved strategies.
+ * @returns {string[]} The underlyings, alphabetically.
+ */
+export const getOpenUnderlyings = (strategies) => [...new Set(
+  strategies
+    .filter(strategy => strategy.underlying_asset && getOpenStrategyLegs(strategy).length > 0)
+    .map(strategy => strategy.underlying_asset)
+)].sort();
+
+/**
+ * Returns the price an underlying is valued at: the live price, or else the entry price of the
+ * latest open strategy on it.
+ * @param {Array<object>} strategies - The saved strategies.
+ * @param {string} underlyingAsset - The underlying.
+ * @param {Object<string, number>} [prices] - Live prices by asset.
+ * @returns {number} The price, 0 when unknown.
+ */
+export const getReferencePrice = (strategies, underlyingAsset, prices) => {
+  if (prices?.[underlyingAsset] > 0) return prices[underlyingAsset];
+  const latest = strategies
+    .filter(strategy => strategy.underlying_asset === underlyingAsset && getOpenStrategyLegs(strategy).length > 0)
+    .sort((a, b) => new Date(b.open_date) - new Date(a.open_date))[0];
+  return parseFloat(latest?.asset_price) || 0;
+};
+
+/**
+ * Returns the average implied volatility the open options of an underlying were entered at.
+ * @param {Array<import('../components/Leg').LegValues>} legs - The open legs.
+ * @returns {number | null} The volatility as a decimal, or null when no leg has one.
+ */
+export const getAverageEntryIv = (legs) => {
+  const ivs = legs.filter(isOptionLeg).map(leg => parseFloat(leg.entryIv)).filter(iv => iv > 0);
+  return ivs.length > 0 ? ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length : null;
+};
+
+/**
+ * Values a leg set today and in a shock either way.
+ * @param {Array<import('../components/Leg').LegValues>} legs - The legs.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @param {import('./pricing').PricingParams | null} params - The pricing inputs, null without a volatility.
+ * @returns {{greeks: import('./pricing').Greeks | null, dollarDelta: number, openPnl: number, shockPnl: {down: number, up: number}}}
+ */
+const measureLegs = (legs, underlyingPrice, params) => {
+  const valueAt = (price) => (params
+    ? calculateStrategyTheoreticalValue(legs, price, params).pnl
+    : calculateOpenPnl(legs, price));
+  const greeks = params ? calculateStrategyGreeks(legs, underlyingPrice, params).net : null;
+  const openPnl = valueAt(underlyingPrice);
+  return {
+    greeks,
+    dollarDelta: greeks ? greeks.delta * underlyingPrice : 0,
+    openPnl,
+    shockPnl: {
+      down: valueAt(underlyingPrice * (1 - RISK_SHOCK)) - openPnl,
+      up: valueAt(underlyingPrice * (1 + RISK_SHOCK)) - openPnl,
+    },
+  };
+};
+
+/**
+ * Combines the open positions of an underlying and measures their risk. Each option is valued up to
+ * its expiry, or its strategy's close date when it was saved without one (see getOpenStrategyLegs).
+ * @param {Array<object>} strategies - The saved strategies.
+ * @param {string} underlyingAsset - The underlying to combine.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @param {{volatility?: number, rate?: number, model?: string, valuationDate?: Date}} [pricingParams] -
+ *   Pricing inputs for the Greeks and the T+0 values; intrinsic values only without a volatility.
+ * @returns {PortfolioRisk | null} The portfolio risk, or null without a price or open positions.
+ */
+export const buildPortfolioRisk = (strategies, underlyingAsset, underlyingPrice, pricingParams = {}) => {
+  if (!(underlyingPrice > 0)) return null;
+  const params = pricingParams.volatility > 0
+    ? { rate: 0, time: 0, valuationDate: new Date(), ...pricingParams }
+    : null;
+
+  const positions = strategies
+    .filter(strategy => strategy.underlying_asset === underlyingAsset)
+    .map(strategy => ({ strategy, legs: getOpenStrategyLegs(strategy) }))
+    .filter(position => position.legs.length > 0)
+    .map(position => {
+      const measures = measureLegs(position.legs, underlyingPrice, params);
+      return { ...position, ...measures, risk: Math.max(Math.abs(measures.shockPnl.down), Math.abs(measures.shockPnl.up)) };
+    })
+    .sort((a, b) => b.risk - a.risk);
+  if (positions.length === 0) return null;
+
+  const legs = positions.flatMap(position => position.legs);
+  const undatedPositions = positions.filter(position => position.legs.some(isUndatedOptionLeg)).length;
+  return { legs, ...measureLegs(legs, underlyingPrice, params), positions, undatedPositions };
+};
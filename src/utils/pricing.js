@@ -0,0 +1,380 @@
+/**
+ * Option pricing models used to value legs before expiration.
+ * Black-76 prices options on a forward (crypto futures-style underlyings such as
+ * Deribit options), Black-Scholes prices options on a spot underlying.
+ */
+
+import { getLegPremiumUsd, getLegQuantity, isLinearLeg, isOptionLeg } from './legUtils';
+
+export const PRICING_MODELS = {
+  BLACK_76: 'black76',
+  BLACK_SCHOLES: 'blackScholes',
+};
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000; // Crypto trades every day of the year
+
+/**
+ * Standard normal probability density function.
+ * @param {number} x
+ * @returns {number}
+ */
+export const normPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+/**
+ * Standard normal cumulative distribution function (Abramowitz & Stegun 26.2.17).
+ * @param {number} x
+ * @returns {number}
+ */
+export const normCdf = (x) => {
+  if (x < 0) return 1 - normCdf(-x);
+  const k = 1 / (1 + 0.2316419 * x);
+  const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+  return 1 - normPdf(x) * poly;
+};
+
+/**
+ * Parses an expiry date. Date-only strings are treated as expiring at 08:00 UTC, the Deribit settlement time.
+ * @param {string | Date} expiry - The expiration date.
+ * @returns {Date} The expiration timestamp (an invalid Date if it cannot be parsed).
+ */
+export const parseExpiryDate = (expiry) => {
+  return typeof expiry === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(expiry)
+    ? new Date(`${expiry}T08:00:00Z`)
+    : new Date(expiry);
+};
+
+/**
+ * Converts an expiry date into a year fraction from the valuation date.
+ * @param {string | Date} expiry - The expiration date.
+ * @param {Date} [valuationDate=new Date()] - The date the position is valued at.
+ * @returns {number} Time to expiry in years (never negative).
+ */
+export const yearsUntil = (expiry, valuationDate = new Date()) => {
+  if (!expiry) return 0;
+  const expiryDate = parseExpiryDate(expiry);
+  if (isNaN(expiryDate.getTime())) return 0;
+  return Math.max(0, (expiryDate.getTime() - valuationDate.getTime()) / MS_PER_YEAR);
+};
+
+/**
+ * Returns the distinct option expiry dates of a strategy, earliest first. Legs without a valid
+ * expiry are ignored, as are futures, whose P&L does not depend on time to expiry here.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @returns {Date[]} The sorted expiry dates.
+ */
+export const getLegExpiries = (legs) => {
+  const times = legs
+    .filter(isOptionLeg)
+    .map(leg => (leg.expiry ? parseExpiryDate(leg.expiry).getTime() : NaN))
+    .filter(time => !isNaN(time));
+  return [...new Set(times)].sort((a, b) => a - b).map(time => new Date(time));
+};
+
+/**
+ * Returns the front-month expiry of a strategy, the date its first legs settle.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @returns {Date | null} The earliest leg expiry, or null when no leg has one.
+ */
+export const getFrontExpiry = (legs) => getLegExpiries(legs)[0] || null;
+
+/**
+ * True when the legs of a strategy expire on different dates (calendars, diagonals).
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @returns {boolean}
+ */
+export const hasMixedExpiries = (legs) => getLegExpiries(legs).length > 1;
+
+/**
+ * Black-76 price of a European option on a forward.
+ * @param {'Call' | 'Put'} type - The option type.
+ * @param {number} forward - The forward (futures) price of the underlying.
+ * @param {number} strike - The strike price.
+ * @param {number} time - Time to expiry in years.
+ * @param {number} volatility - Annualized implied volatility as a decimal (0.6 = 60%).
+ * @param {number} [rate=0] - Continuously compounded risk-free rate as a decimal.
+ * @returns {number} The option price in the strike currency.
+ */
+export const black76Price = (type, forward, strike, time, volatility, rate = 0) => {
+  const discount = Math.exp(-rate * time);
+  if (time <= 0 || volatility <= 0) {
+    const intrinsic = type === 'Call' ? Math.max(0, forward - strike) : Math.max(0, strike - forward);
+    return discount * intrinsic;
+  }
+  const stdDev = volatility * Math.sqrt(time);
+  const d1 = (Math.log(forward / strike) + 0.5 * stdDev * stdDev) / stdDev;
+  const d2 = d1 - stdDev;
+  if (type === 'Call') {
+    return discount * (forward * normCdf(d1) - strike * normCdf(d2));
+  }
+  return discount * (strike * normCdf(-d2) - forward * normCdf(-d1));
+};
+
+/**
+ * Black-Scholes price of a European option on a spot underlying without dividends.
+ * @param {'Call' | 'Put'} type - The option type.
+ * @param {number} spot - The spot price of the underlying.
+ * @param {number} strike - The strike price.
+ * @param {number} time - Time to expiry in years.
+ * @param {number} volatility - Annualized implied volatility as a decimal.
+ * @param {number} [rate=0] - Continuously compounded risk-free rate as a decimal.
+ * @returns {number} The option price in the strike currency.
+ */
+export const blackScholesPrice = (type, spot, strike, time, volatility, rate = 0) => {
+  // Black-Scholes is Black-76 on the forward implied by carrying the spot at the risk-free rate
+  return black76Price(type, spot * Math.exp(rate * time), strike, time, volatility, rate);
+};
+
+/**
+ * @typedef {object} PricingParams
+ * @property {number} volatility - Annualized implied volatility as a decimal.
+ * @property {number} [rate=0] - Risk-free rate as a decimal.
+ * @property {number} time - Time to expiry in years, used for legs without their own expiry date.
+ * @property {string} [model='black76'] - One of PRICING_MODELS.
+ * @property {Date} [valuationDate=new Date()] - The date legs with an expiry date are valued at.
+ */
+
+/**
+ * Resolves the pricing parameters of one leg: a leg with its own expiry date is priced with the
+ * time from the valuation date to that expiry, other legs use the strategy-wide time.
+ * @param {import('../components/Leg').LegValues} leg - The option leg data.
+ * @param {PricingParams} params - The pricing parameters.
+ * @returns {PricingParams} The parameters with the leg's time to expiry.
+ */
+export const getLegPricingParams = (leg, params) => {
+  if (!leg.expiry) return params;
+  return { ...params, time: yearsUntil(leg.expiry, params.valuationDate) };
+};
+
+/**
+ * Prices a single option with the selected model.
+ * @param {'Call' | 'Put'} type - The option type.
+ * @param {number} underlyingPrice - Forward price for Black-76, spot price for Black-Scholes.
+ * @param {number} strike - The strike price.
+ * @param {PricingParams} params - The pricing parameters.
+ * @returns {number} The theoretical option price.
+ */
+export const priceOption = (type, underlyingPrice, strike, { volatility, rate = 0, time, model = PRICING_MODELS.BLACK_76 }) => {
+  if (!(underlyingPrice > 0) || !(strike > 0)) {
+    return type === 'Call' ? Math.max(0, underlyingPrice - strike) : Math.max(0, strike - underlyingPrice);
+  }
+  return model === PRICING_MODELS.BLACK_SCHOLES
+    ? blackScholesPrice(type, underlyingPrice, strike, time, volatility, rate)
+    : black76Price(type, underlyingPrice, strike, time, volatility, rate);
+};
+
+/**
+ * Calculates the theoretical profit/loss of a single leg before expiration.
+ * Spot, perpetual and futures legs are marked at the underlying price (basis is ignored).
+ * Coin-quoted premiums are converted to USD at the underlying price.
+ * @param {import('../components/Leg').LegValues} leg - The leg data.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @param {PricingParams} params - The pricing parameters.
+ * @returns {{value: number, pnl: number}} The signed theoretical value of the leg and its P&L versus the entry premium or price.
+ */
+export const calculateLegTheoreticalValue = (leg, underlyingPrice, params) => {
+  const strike = parseFloat(leg.strike) || 0;
+  const premium = getLegPremiumUsd(leg, underlyingPrice);
+  const quantity = getLegQuantity(leg);
+  const sign = leg.action === 'Sell' ? -1 : 1;
+
+  if (isLinearLeg(leg)) {
+    const entryPrice = parseFloat(leg.entryPrice) || 0;
+    return {
+      value: sign * underlyingPrice * quantity,
+      pnl: sign * (underlyingPrice - entryPrice) * quantity,
+    };
+  }
+
+  const price = priceOption(leg.type, underlyingPrice, strike, getLegPricingParams(leg, params));
+
+  return {
+    value: sign * price * quantity,
+    pnl: sign * (price - premium) * quantity,
+  };
+};
+
+/**
+ * Calculates the theoretical value and profit/loss of a strategy before expiration.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @param {PricingParams} params - The pricing parameters.
+ * @returns {{value: number, pnl: number}} The net theoretical value and P&L of the strategy.
+ */
+export const calculateStrategyTheoreticalValue = (legs, underlyingPrice, params) => {
+  return legs.reduce((total, leg) => {
+    const { value, pnl } = calculateLegTheoreticalValue(leg, underlyingPrice, params);
+    return { value: total.value + value, pnl: total.pnl + pnl };
+  }, { value: 0, pnl: 0 });
+};
+
+/**
+ * @typedef {object} Greeks
+ * @property {number} delta - Change in value per 1 unit move in the underlying.
+ * @property {number} gamma - Change in delta per 1 unit move in the underlying.
+ * @property {number} theta - Change in value per calendar day.
+ * @property {number} vega - Change in value per 1 volatility point (1%).
+ * @property {number} rho - Change in value per 1% move in the risk-free rate.
+ */
+
+const ZERO_GREEKS = { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+
+/**
+ * Calculates the Greeks of a single long option with the selected model.
+ * Black-76 sensitivities are taken with respect to the forward, Black-Scholes ones with respect to spot.
+ * @param {'Call' | 'Put'} type - The option type.
+ * @param {number} underlyingPrice - Forward price for Black-76, spot price for Black-Scholes.
+ * @param {number} strike - The strike price.
+ * @param {PricingParams} params - The pricing parameters.
+ * @returns {Greeks} The option Greeks for one unit.
+ */
+export const calculateOptionGreeks = (type, underlyingPrice, strike, { volatility, rate = 0, time, model = PRICING_MODELS.BLACK_76 }) => {
+  const isCall = type === 'Call';
+  if (!(underlyingPrice > 0) || !(strike > 0)) {
+    return { ...ZERO_GREEKS };
+  }
+  if (time <= 0 || volatility <= 0) {
+    // At expiry only the intrinsic exposure remains
+    const inTheMoney = isCall ? underlyingPrice > strike : underlyingPrice < strike;
+    return { ...ZERO_GREEKS, delta: inTheMoney ? (isCall ? 1 : -1) : 0 };
+  }
+
+  const discount = Math.exp(-rate * time);
+  const sqrtTime = Math.sqrt(time);
+  const forward = model === PRICING_MODELS.BLACK_SCHOLES ? underlyingPrice / discount : underlyingPrice;
+  const d1 = (Math.log(forward / strike) + 0.5 * volatility * volatility * time) / (volatility * sqrtTime);
+  const d2 = d1 - volatility * sqrtTime;
+  const pdf = normPdf(d1);
+  const price = black76Price(type, forward, strike, time, volatility, rate);
+
+  let delta;
+  let gamma;
+  let theta;
+  let vega;
+  let rho;
+
+  if (model === PRICING_MODELS.BLACK_SCHOLES) {
+    const spot = underlyingPrice;
+    delta = isCall ? normCdf(d1) : normCdf(d1) - 1;
+    gamma = pdf / (spot * volatility * sqrtTime);
+    vega = spot * pdf * sqrtTime;
+    const decay = -(spot * pdf * volatility) / (2 * sqrtTime);
+    theta = isCall
+      ? decay - rate * strike * discount * normCdf(d2)
+      : decay + rate * strike * discount * normCdf(-d2);
+    rho = isCall
+      ? strike * time * discount * normCdf(d2)
+      : -strike * time * discount * normCdf(-d2);
+  } else {
+    delta = isCall ? discount * normCdf(d1) : -discount * normCdf(-d1);
+    gamma = (discount * pdf) / (forward * volatility * sqrtTime);
+    vega = discount * forward * pdf * sqrtTime;
+    theta = -(discount * forward * pdf * volatility) / (2 * sqrtTime) + rate * price;
+    rho = -time * price;
+  }
+
+  // Quote theta per day, vega per vol point and rho per rate point
+  return {
+    delta,
+    gamma,
+    theta: theta / 365,
+    vega: vega / 100,
+    rho: rho / 100,
+  };
+};
+
+/**
+ * Calculates the position Greeks of a single leg (signed by action and scaled by contracts × multiplier).
+ * Spot, perpetual and futures legs only carry delta.
+ * @param {import('../components/Leg').LegValues} leg - The leg data.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @param {PricingParams} params - The pricing parameters.
+ * @returns {Greeks} The Greeks of the leg.
+ */
+export const calculateLegGreeks = (leg, underlyingPrice, params) => {
+  const strike = parseFloat(leg.strike) || 0;
+  const quantity = getLegQuantity(leg);
+  const sign = leg.action === 'Sell' ? -1 : 1;
+  const greeks = isLinearLeg(leg)
+    ? { ...ZERO_GREEKS, delta: 1 }
+    : calculateOptionGreeks(leg.type, underlyingPrice, strike, getLegPricingParams(leg, params));
+
+  return Object.fromEntries(
+    Object.entries(greeks).map(([greek, value]) => [greek, sign * value * quantity])
+  );
+};
+
+/**
+ * Calculates per-leg and aggregate Greeks for a strategy.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} underlyingPrice - The current underlying price.
+ * @param {PricingParams} params - The pricing parameters.
+ * @returns {{legs: Greeks[], net: Greeks}} The Greeks of each leg, in leg order, and their sum.
+ */
+export const calculateStrategyGreeks = (legs, underlyingPrice, params) => {
+  const legGreeks = legs.map(leg => calculateLegGreeks(leg, underlyingPrice, params));
+  const net = legGreeks.reduce((total, greeks) => {
+    Object.keys(total).forEach(greek => {
+      total[greek] += greeks[greek];
+    });
+    return total;
+  }, { ...ZERO_GREEKS });
+
+  return { legs: legGreeks, net };
+};
+
+// Search range and tolerance of the implied volatility solver
+const IV_MIN = 0.001;
+const IV_MAX = 10;
+const IV_GUESS = 0.6;
+const IV_MAX_ITERATIONS = 100;
+
+/**
+ * Back-solves the volatility that prices an option at a given premium. Newton steps on vega
+ * converge in a few iterations; a step that leaves the bracket around the root falls back to
+ * bisection, so deep in- or out-of-the-money options (almost no vega) still converge.
+ * @param {'Call' | 'Put'} type - The option type.
+ * @param {number} underlyingPrice - Forward price for Black-76, spot price for Black-Scholes.
+ * @param {number} strike - The strike price.
+ * @param {number} price - The option premium in the strike currency.
+ * @param {{rate?: number, time: number, model?: string}} params - Rate, time to expiry and model.
+ * @returns {number | null} The implied volatility as a decimal, or null when no volatility between 0.1% and 1000% matches the premium.
+ */
+export const solveImpliedVolatility = (type, underlyingPrice, strike, price, { rate = 0, time, model = PRICING_MODELS.BLACK_76 }) => {
+  if (!(underlyingPrice > 0) || !(strike > 0) || !(time > 0) || !(price > 0)) return null;
+  const params = { rate, time, model };
+  const priceAt = (volatility) => priceOption(type, underlyingPrice, strike, { ...params, volatility });
+
+  let low = IV_MIN;
+  let high = IV_MAX;
+  if (price <= priceAt(low) || price >= priceAt(high)) return null;
+
+  let volatility = IV_GUESS;
+  for (let i = 0; i < IV_MAX_ITERATIONS; i++) {
+    const diff = priceAt(volatility) - price;
+    if (Math.abs(diff) <= price * 1e-10) return volatility;
+    if (diff > 0) high = volatility;
+    else low = volatility;
+
+    // Vega is quoted per vol point; the Newton step needs it per unit of volatility
+    const vega = calculateOptionGreeks(type, underlyingPrice, strike, { ...params, volatility }).vega * 100;
+    let next = vega > 0 ? volatility - diff / vega : NaN;
+    if (!(next > low && next < high)) next = (low + high) / 2;
+    if (Math.abs(next - volatility) < 1e-10) return next;
+    volatility = next;
+  }
+  return volatility;
+};
+
+/**
+ * Back-solves the implied volatility of an option leg from its premium. Coin-quoted premiums are
+ * converted at the underlying price; the time runs to the leg's own expiry.
+ * @param {import('../components/Leg').LegValues} leg - The option leg.
+ * @param {number} underlyingPrice - The underlying price when the premium was paid.
+ * @param {{rate?: number, model?: string, valuationDate?: Date}} [params] - Rate, model and the date the premium was paid.
+ * @returns {number | null} The implied volatility as a decimal, or null for linear legs, legs without an expiry or premiums out of bounds.
+ */
+export const calculateLegImpliedVolatility = (leg, underlyingPrice, params = {}) => {
+  if (!isOptionLeg(leg) || !leg.expiry) return null;
+  const time = yearsUntil(leg.expiry, params.valuationDate);
+  return solveImpliedVolatility(leg.type, underlyingPrice, parseFloat(leg.strike), getLegPremiumUsd(leg, underlyingPrice), { ...params, time });
+};
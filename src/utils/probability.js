@@ -0,0 +1,72 @@
+/**
+ * Lognormal probability model for the underlying price at expiry.
+ * Uses the same risk-neutral assumptions as the pricing models: the forward has no drift
+ * under Black-76, the spot drifts at the risk-free rate under Black-Scholes.
+ */
+
+import { normCdf, PRICING_MODELS } from './pricing';
+
+/**
+ * Returns the drift and standard deviation of the log price over the time to expiry.
+ * @param {import('./pricing').PricingParams} params - The pricing parameters.
+ * @returns {{drift: number, stdDev: number}} Drift of the log price (per year) and total standard deviation.
+ */
+const logPriceMoments = ({ volatility, rate = 0, time, model = PRICING_MODELS.BLACK_76 }) => {
+  const priceDrift = model === PRICING_MODELS.BLACK_SCHOLES ? rate : 0;
+  return {
+    drift: priceDrift - 0.5 * volatility * volatility,
+    stdDev: volatility * Math.sqrt(time),
+  };
+};
+
+/**
+ * Probability that the underlying finishes below a level at expiry.
+ * @param {number} level - The price level.
+ * @param {number} price - The current underlying price.
+ * @param {import('./pricing').PricingParams} params - The pricing parameters.
+ * @returns {number} Probability between 0 and 1.
+ */
+export const probabilityBelow = (level, price, params) => {
+  if (level <= 0) return 0;
+  if (level === Infinity) return 1;
+  const { drift, stdDev } = logPriceMoments(params);
+  if (stdDev <= 0) return price < level ? 1 : 0;
+  return normCdf((Math.log(level / price) - drift * params.time) / stdDev);
+};
+
+/**
+ * Probability that the underlying finishes between two levels at expiry.
+ * @param {number} lower - The lower price level.
+ * @param {number} upper - The upper price level (may be Infinity).
+ * @param {number} price - The current underlying price.
+ * @param {import('./pricing').PricingParams} params - The pricing parameters.
+ * @returns {number} Probability between 0 and 1.
+ */
+export const probabilityBetween = (lower, upper, price, params) => {
+  return Math.max(0, probabilityBelow(upper, price, params) - probabilityBelow(lower, price, params));
+};
+
+/**
+ * Probability that the underlying trades through a barrier at any time before expiry
+ * (first passage of a Brownian motion with drift in log space).
+ * @param {number} barrier - The barrier price level.
+ * @param {number} price - The current underlying price.
+ * @param {import('./pricing').PricingParams} params - The pricing parameters.
+ * @returns {number} Probability between 0 and 1.
+ */
+export const probabilityOfTouch = (barrier, price, params) => {
+  if (!(barrier > 0) || !(price > 0)) return 0;
+  if (barrier === price) return 1;
+  const { drift, stdDev } = logPriceMoments(params);
+  if (stdDev <= 0) return 0;
+
+  // Reflect a downside barrier so the formula only has to handle upward crossings
+  const distance = Math.abs(Math.log(barrier / price));
+  const mu = barrier > price ? drift : -drift;
+  const variance = params.volatility * params.volatility;
+  const muTime = mu * params.time;
+
+  const probability = normCdf((-distance + muTime) / stdDev)
+    + Math.exp((2 * mu * distance) / variance) * normCdf((-distance - muTime) / stdDev);
+  return Math.min(1, Math.max(0, probability));
+};
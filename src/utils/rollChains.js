@@ -0,0 +1,115 @@
+/**
+ * Roll chains link a strategy to the strategies it was rolled into. Every strategy of a chain
+ * carries the chain_id of the first one (and rolled_from, the id of the strategy it replaced), so
+ * a campaign such as a short put rolled forward month after month can be judged as a whole.
+ */
+
+import { PREMIUM_CURRENCIES, createLeg } from './legUtils';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} RollChain
+ * @property {string} chainId - The id of the first strategy of the chain.
+ * @property {Array<object>} strategies - The strategies of the chain, oldest first.
+ * @property {number} rolls - How many times the position was rolled.
+ * @property {number} pnl - The summed realized P&L of the closed strategies, in the settlement asset.
+ * @property {number} creditsCollected - The summed net premium of the strategies opened for a credit, in USD.
+ * @property {number} daysInTrade - Days from the first open date to the last close date (or today while open).
+ * @property {boolean} isOpen - True while the latest strategy of the chain is pending.
+ * @property {string} underlyingAsset - The underlying of the chain.
+ * @property {string} settlementAsset - The settlement asset of the chain.
+ */
+
+/**
+ * Returns the chain id a strategy belongs to, or its own id when it starts a new chain by being rolled.
+ * @param {object} strategy - A saved strategy.
+ * @returns {string} The chain id.
+ */
+export const getChainId = (strategy) => strategy.chain_id || strategy.id;
+
+/**
+ * Summarizes the strategies of one roll chain.
+ * @param {Array<object>} strategies - The strategies sharing a chain_id.
+ * @param {Date} [today=new Date()] - The date open chains are measured to.
+ * @returns {RollChain} The chain summary.
+ */
+export const summarizeRollChain = (strategies, today = new Date()) => {
+  const sorted = [...strategies].sort((a, b) => new Date(a.open_date) - new Date(b.open_date));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const isOpen = last.trade_outcome === 'pending';
+
+  const openDates = sorted.map(strategy => new Date(strategy.open_date).getTime()).filter(time => !isNaN(time));
+  const closeDates = sorted.map(strategy => new Date(strategy.close_date).getTime()).filter(time => !isNaN(time));
+  const start = openDates.length > 0 ? Math.min(...openDates) : NaN;
+  const end = isOpen || closeDates.length === 0 ? today.getTime() : Math.max(...closeDates);
+
+  return {
+    chainId: getChainId(first),
+    strategies: sorted,
+    rolls: sorted.length - 1,
+    pnl: sorted.reduce((total, strategy) => total + (typeof strategy.pnl === 'number' ? strategy.pnl : 0), 0),
+    creditsCollected: sorted.reduce((total, strategy) => total + Math.max(0, parseFloat(strategy.net_premium) || 0), 0),
+    daysInTrade: isNaN(start) ? 0 : Math.max(0, Math.round((end - start) / MS_PER_DAY)),
+    isOpen,
+    underlyingAsset: first.underlying_asset,
+    settlementAsset: first.settlement_asset,
+  };
+};
+
+/**
+ * Groups saved strategies into roll chains. Strategies that were never rolled are left out.
+ * @param {Array<object>} strategies - The saved strategies.
+ * @param {Date} [today=new Date()] - The date open chains are measured to.
+ * @returns {RollChain[]} The chains, most recently opened first.
+ */
+export const buildRollChains = (strategies, today = new Date()) => {
+  const byChain = new Map();
+  strategies.filter(strategy => strategy.chain_id).forEach(strategy => {
+    byChain.set(strategy.chain_id, [...(byChain.get(strategy.chain_id) || []), strategy]);
+  });
+  return [...byChain.values()]
+    .map(chainStrategies => summarizeRollChain(chainStrategies, today))
+    .sort((a, b) => new Date(b.strategies[b.strategies.length - 1].open_date) - new Date(a.strategies[a.strategies.length - 1].open_date));
+};
+
+/**
+ * @typedef {object} RollDraft
+ * @property {string} chainId - The chain the new strategy joins.
+ * @property {string} rolledFrom - The id of the strategy being rolled.
+ * @property {string} underlyingAsset - The underlying of the rolled strategy.
+ * @property {string} settlementAsset - The settlement asset of the rolled strategy.
+ * @property {number} [multiplier] - The contract multiplier of the rolled legs.
+ * @property {number} [assetPrice] - The price the old legs were closed at, the entry price of the new ones.
+ * @property {number} [marginRequired] - The margin of the rolled strategy.
+ * @property {string} [venue] - The venue the rolled strategy traded on.
+ * @property {import('./feeSchedules').FeeSchedule} [feeSchedule] - Its fee schedule.
+ * @property {string} [liquidity] - Its maker/taker liquidity.
+ * @property {Array<import('../components/Leg').LegValues>} legs - The new legs: same structure, new premiums and expiry to fill in.
+ */
+
+/**
+ * Prepares the strategy form for the legs that replace a rolled strategy.
+ * @param {object} strategy - The saved strategy being rolled, with its chain_id set.
+ * @returns {RollDraft} The prefilled values.
+ */
+export const createRollDraft = (strategy) => ({
+  chainId: getChainId(strategy),
+  rolledFrom: strategy.id,
+  underlyingAsset: strategy.underlying_asset || '',
+  settlementAsset: strategy.settlement_asset || '',
+  multiplier: strategy.legs[0]?.multiplier,
+  assetPrice: strategy.settlement_price || strategy.asset_price,
+  marginRequired: strategy.margin_required,
+  venue: strategy.venue,
+  feeSchedule: strategy.fee_schedule,
+  liquidity: strategy.liquidity,
+  legs: strategy.legs.map((leg, index) => createLeg(index + 1, {
+    action: leg.action,
+    type: leg.type,
+    strike: leg.strike,
+    premiumCurrency: leg.premiumCurrency || PREMIUM_CURRENCIES.USD,
+    contracts: leg.contracts,
+  })),
+});
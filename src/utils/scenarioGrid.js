@@ -0,0 +1,94 @@
+/**
+ * What-if grid of a strategy's P&L across underlying price moves (rows) and dates up to the front
+ * expiry (columns), with one implied volatility shift applied to the whole grid. Dates before
+ * expiry are priced with the pricing model; the expiry column is the expiration payoff.
+ */
+
+import { calculateStrategyTheoreticalValue, getFrontExpiry, yearsUntil } from './pricing';
+import { calculateStrategyPayoff } from './payoffEngine';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_PRICE_MOVES = [-0.3, -0.2, -0.1, -0.05, 0, 0.05, 0.1, 0.2, 0.3];
+export const DEFAULT_DATE_COLUMNS = 5;
+
+// Volatility never drops below this after a negative shift
+const MIN_VOLATILITY = 0.01;
+
+/**
+ * @typedef {object} ScenarioColumn
+ * @property {Date} date - The valuation date.
+ * @property {number} days - Days from today.
+ * @property {boolean} isExpiry - True for the front expiry column.
+ */
+
+/**
+ * @typedef {object} ScenarioGrid
+ * @property {ScenarioColumn[]} columns - The dates, today first.
+ * @property {Array<{move: number, price: number, pnl: number[]}>} rows - One row per price move, the P&L per column.
+ * @property {number} maxAbsPnl - The largest absolute P&L of the grid, to scale the heatmap.
+ */
+
+/**
+ * Returns evenly spaced valuation dates from today to the front expiry, one per distinct day.
+ * @param {Date | null} frontExpiry - The front expiry.
+ * @param {number} count - The number of columns wanted.
+ * @param {Date} today - The first date.
+ * @returns {ScenarioColumn[]} The columns (only the expiry column when it is today or past).
+ */
+export const getScenarioColumns = (frontExpiry, count, today) => {
+  if (!frontExpiry) return [];
+  const totalDays = Math.floor((frontExpiry.getTime() - today.getTime()) / MS_PER_DAY);
+  if (totalDays <= 0 || count < 2) return [{ date: frontExpiry, days: Math.max(0, totalDays), isExpiry: true }];
+  const offsets = [...new Set(Array.from({ length: count - 1 }, (_, i) => Math.round((totalDays * i) / (count - 1))))];
+  return [
+    ...offsets.filter(days => days < totalDays).map(days => ({ date: new Date(today.getTime() + days * MS_PER_DAY), days, isExpiry: false })),
+    { date: frontExpiry, days: totalDays, isExpiry: true },
+  ];
+};
+
+/**
+ * Builds the scenario grid of a strategy.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} assetPrice - The current underlying price the moves apply to.
+ * @param {object} options - The pricing inputs and grid layout.
+ * @param {number} options.volatility - Annualized implied volatility as a decimal.
+ * @param {number} [options.rate=0] - Risk-free rate as a decimal.
+ * @param {string} [options.model] - One of PRICING_MODELS.
+ * @param {number} [options.ivShift=0] - Volatility points added to every leg (−10 = 10 points lower).
+ * @param {number[]} [options.priceMoves=DEFAULT_PRICE_MOVES] - Relative underlying moves, one per row.
+ * @param {number} [options.dateColumns=DEFAULT_DATE_COLUMNS] - The number of date columns, expiry included.
+ * @param {Date} [options.today=new Date()] - The first valuation date.
+ * @returns {ScenarioGrid | null} The grid, or null without a price, a volatility or an expiry.
+ */
+export const buildScenarioGrid = (legs, assetPrice, {
+  volatility,
+  rate = 0,
+  model,
+  ivShift = 0,
+  priceMoves = DEFAULT_PRICE_MOVES,
+  dateColumns = DEFAULT_DATE_COLUMNS,
+  today = new Date(),
+}) => {
+  const frontExpiry = getFrontExpiry(legs);
+  if (!(assetPrice > 0) || !(volatility > 0) || !frontExpiry) return null;
+
+  const shiftedVolatility = Math.max(MIN_VOLATILITY, volatility + ivShift / 100);
+  const columns = getScenarioColumns(frontExpiry, dateColumns, today);
+  let maxAbsPnl = 0;
+
+  const rows = priceMoves.map(move => {
+    const price = assetPrice * (1 + move);
+    const pnl = columns.map(column => {
+      const params = { volatility: shiftedVolatility, rate, model };
+      const value = column.isExpiry
+        ? calculateStrategyPayoff(legs, price, params)
+        : calculateStrategyTheoreticalValue(legs, price, { ...params, time: yearsUntil(frontExpiry, column.date), valuationDate: column.date }).pnl;
+      maxAbsPnl = Math.max(maxAbsPnl, Math.abs(value));
+      return value;
+    });
+    return { move, price, pnl };
+  });
+
+  return { columns, rows, maxAbsPnl };
+};
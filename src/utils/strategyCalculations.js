@@ -1,176 +1,60 @@
-// Calculate strategy metrics based on leg data and strategy type
-/**
- * Calculates the profit/loss for a single option leg at a given asset price.
- * @param {import('../components/Leg').LegValues} leg - The option leg data.
- * @param {number} assetPrice - The current asset price.
- * @returns {number} The profit or loss for the leg.
- */
-const calculateLegPayoff = (leg, assetPrice) => {
-  const strike = parseFloat(leg.strike) || 0;
-  const premium = parseFloat(leg.premium) || 0;
-  const contracts = parseInt(leg.contracts) || 1;
-  let payoff = 0;
-
-  if (leg.type === 'Call') {
-    payoff = Math.max(0, assetPrice - strike) - premium;
-  } else if (leg.type === 'Put') {
-    payoff = Math.max(0, strike - assetPrice) - premium;
-  }
-
-  if (leg.action === 'Sell') {
-    payoff = -payoff;
-  }
-
-  return payoff * contracts;
-};
+import { calculateStrategyGreeks, calculateStrategyTheoreticalValue } from './pricing';
+import { probabilityBetween, probabilityOfTouch } from './probability';
+import { analyzeExpiryPayoff, calculateRealizedPnl, calculateStrategyPayoff, generatePayoffPoints, getPayoffKinks } from './payoffEngine';
+import { detectStrategy } from './strategyDetection';
+import { POSITION_STATUSES, getStrategyStatus } from './fillUtils';
+import { getLegPremiumUsd, getLegQuantity, isOptionLeg } from './legUtils';
+import { calculateStrategyFees } from './feeSchedules';
 
 /**
- * Calculates the total profit/loss for a strategy at a given asset price.
+ * Calculates the probability of profit, of reaching max profit and of touching each breakeven
+ * from a lognormal distribution of the underlying price at (front) expiry.
  * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
  * @param {number} assetPrice - The current asset price.
- * @returns {number} The total profit or loss for the strategy.
- */
-const calculateStrategyPayoff = (legs, assetPrice) => {
-  let totalPayoff = 0;
-  legs.forEach(leg => {
-    totalPayoff += calculateLegPayoff(leg, assetPrice);
-  });
-  return totalPayoff;
-};
-
-/**
- * Detects the type of option strategy based on the provided legs.
- * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
- * @returns {{name: string, type: string, direction: string, isCredit: boolean, isReverse: boolean, optionType: string}} Detected strategy details.
+ * @param {import('./pricing').PricingParams} pricingParams - Volatility, rate and time to the front expiry.
+ * @param {number[]} breakevens - The sorted breakeven prices.
+ * @param {number | 'Unlimited'} maxProfit - The maximum profit at expiry.
+ * @returns {{probProfit: number, probMaxProfit: number, probTouch: Array<{price: number, probability: number}>}} Probabilities as percentages.
  */
-const detectStrategy = (legs) => {
-  const numLegs = legs.length;
-  const callLegs = legs.filter(leg => leg.type === 'Call');
-  const putLegs = legs.filter(leg => leg.type === 'Put');
-  const strikes = legs.map(leg => parseFloat(leg.strike)).sort((a, b) => a - b);
-  const uniqueStrikes = [...new Set(strikes)];
-
-  let name = 'Custom Strategy';
-  let type = 'Custom';
-  let direction = ''; // Long or Short
-  let isCredit = false;
-  let isReverse = false;
-  let optionType = ''; // Calls, Puts, or Mixed
-
-  // Determine option type
-  if (callLegs.length === numLegs) {
-    optionType = 'Calls';
-  } else if (putLegs.length === numLegs) {
-    optionType = 'Puts';
-  } else {
-    optionType = 'Mixed';
-  }
-
-  // Calculate net premium to determine credit/debit
-  let netPremium = 0;
-  legs.forEach(leg => {
-    const premium = parseFloat(leg.premium) || 0;
-    const contracts = parseInt(leg.contracts) || 1;
-    if (leg.action === 'Sell') {
-      netPremium += premium * contracts;
-    } else {
-      netPremium -= premium * contracts;
+const calculateProbabilities = (legs, assetPrice, pricingParams, breakevens, maxProfit) => {
+  const toPercent = (probability) => parseFloat((probability * 100).toFixed(2));
+
+  // The payoff keeps its sign between consecutive breakevens, so test one price per interval
+  const boundaries = [0, ...breakevens, Infinity];
+  let probProfit = 0;
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const lower = boundaries[i];
+    const upper = boundaries[i + 1];
+    const testPrice = upper === Infinity ? Math.max(lower, assetPrice) * 2 + 1 : (lower + upper) / 2;
+    if (calculateStrategyPayoff(legs, testPrice, pricingParams) > 0) {
+      probProfit += probabilityBetween(lower, upper, assetPrice, pricingParams);
     }
-  });
-  isCredit = netPremium > 0;
-  direction = isCredit ? 'Short' : 'Long';
-
-  if (numLegs === 1) {
-    const leg = legs[0];
-    if (leg.action === 'Buy') {
-      name = `Long ${leg.type}`;
-      type = 'Single Leg';
-    } else {
-      name = `Naked ${leg.type}`;
-      type = 'Single Leg';
-    }
-  } else if (numLegs === 2) {
-    if (optionType !== 'Mixed') { // All Calls or All Puts
-      type = 'Vertical Spread';
-      name = `${optionType} Vertical Spread`; // Default to generic Vertical Spread
-
-      // Filter out invalid strikes for sorting and unique check
-      const validStrikes = legs.map(leg => parseFloat(leg.strike)).filter(s => !isNaN(s) && s > 0);
-      const uniqueValidStrikes = [...new Set(validStrikes)];
-
-      if (uniqueValidStrikes.length === 2) {
-        const [leg1, leg2] = legs.sort((a, b) => parseFloat(a.strike) - parseFloat(b.strike));
-        
-        if (optionType === 'Calls') {
-          if (leg1.action === 'Buy' && leg2.action === 'Sell') {
-            name = 'Bull Call Spread';
-          } else if (leg1.action === 'Sell' && leg2.action === 'Buy') {
-            name = 'Bear Call Spread';
-          }
-        } else if (optionType === 'Puts') {
-          if (leg1.action === 'Buy' && leg2.action === 'Sell') { // Buy low-strike Put, Sell high-strike Put
-            name = 'Bull Put Spread';
-          } else if (leg1.action === 'Sell' && leg2.action === 'Buy') { // Sell low-strike Put, Buy high-strike Put
-            name = 'Bear Put Spread';
-          }
-        }
-      }
-    } else if (optionType === 'Mixed') { // Mixed Calls and Puts
-      // Filter out invalid strikes for sorting and unique check
-      const validStrikes = legs.map(leg => parseFloat(leg.strike)).filter(s => !isNaN(s) && s > 0);
-      const uniqueValidStrikes = [...new Set(validStrikes)];
-
-      if (uniqueValidStrikes.length === 1) {
-        name = 'Straddle';
-        type = 'Combination';
-      } else if (uniqueValidStrikes.length === 2) {
-        name = 'Strangle';
-        type = 'Combination';
-      }
-    }
-  } else if (numLegs === 4) {
-    if (optionType === 'Mixed' && uniqueStrikes.length === 4) {
-      // Iron Condor or Reverse Iron Condor
-      const sortedLegs = [...legs].sort((a, b) => parseFloat(a.strike) - parseFloat(b.strike));
-      const outerBuys = (sortedLegs[0].action === 'Buy' && sortedLegs[3].action === 'Buy');
-      const innerSells = (sortedLegs[1].action === 'Sell' && sortedLegs[2].action === 'Sell');
-
-      if (outerBuys && innerSells) {
-        name = 'Reverse Iron Condor';
-        isReverse = true;
-      } else {
-        name = 'Iron Condor';
-      }
-      type = 'Condor';
-    } else if (optionType !== 'Mixed' && uniqueStrikes.length === 3) {
-      // Butterfly
-      const middleStrikeCount = legs.filter(leg => parseFloat(leg.strike) === uniqueStrikes[1]).length;
-      if (middleStrikeCount === 2) {
-        type = 'Butterfly';
-        const outerLegs = legs.filter(leg => parseFloat(leg.strike) === uniqueStrikes[0] || parseFloat(leg.strike) === uniqueStrikes[2]);
-        if (outerLegs.every(leg => leg.action === 'Buy')) {
-          name = `Long ${optionType} Butterfly`;
-        } else if (outerLegs.every(leg => leg.action === 'Sell')) {
-          name = `Short ${optionType} Butterfly`;
-        }
-      }
-    } else if (optionType !== 'Mixed' && uniqueStrikes.length === 4) {
-      // Condor
-      type = 'Condor';
-      const sortedLegs = [...legs].sort((a, b) => parseFloat(a.strike) - parseFloat(b.strike));
-      const outerBuys = (sortedLegs[0].action === 'Buy' && sortedLegs[3].action === 'Buy');
-      const innerSells = (sortedLegs[1].action === 'Sell' && sortedLegs[2].action === 'Sell');
+  }
 
-      if (outerBuys && innerSells) {
-        name = `Reverse ${optionType} Condor`;
-        isReverse = true;
-      } else {
-        name = `${optionType} Condor`;
+  // Max profit is only reached on flat segments between strikes (or beyond the outer strikes)
+  let probMaxProfit = 0;
+  if (maxProfit !== 'Unlimited') {
+    const tolerance = 1e-6 * Math.max(1, Math.abs(maxProfit));
+    const isMax = (price) => Math.abs(calculateStrategyPayoff(legs, price, pricingParams) - maxProfit) <= tolerance;
+    const kinks = [0, ...getPayoffKinks(legs)];
+    for (let i = 0; i < kinks.length; i++) {
+      const lower = kinks[i];
+      const upper = i + 1 < kinks.length ? kinks[i + 1] : Infinity;
+      const farPrice = upper === Infinity ? lower * 2 + 1 : upper;
+      if (isMax(lower) && isMax(farPrice)) {
+        probMaxProfit += probabilityBetween(lower, upper, assetPrice, pricingParams);
       }
     }
   }
 
-  return { name, type, direction, isCredit, isReverse, optionType };
+  return {
+    probProfit: toPercent(probProfit),
+    probMaxProfit: toPercent(probMaxProfit),
+    probTouch: breakevens.map(price => ({
+      price,
+      probability: toPercent(probabilityOfTouch(price, assetPrice, pricingParams)),
+    })),
+  };
 };
 
 /**
@@ -178,132 +62,185 @@ const detectStrategy = (legs) => {
  * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
  * @param {number} [assetPrice] - The current asset price (optional, used for some calculations).
  * @param {number} [marginRequired] - The margin required for the strategy (optional, used for ROI calculation).
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and time to the front expiry (optional, used for the theoretical value now, the Greeks, the probabilities and to value back-month legs at the front expiry).
+ * @param {import('./feeSchedules').FeeOptions} [feeOptions] - The fee schedule and liquidity (optional, used for the entry fees).
  * @returns {import('../components/StrategyForm').StrategyMetrics} The calculated strategy metrics.
  */
-export const calculateStrategyMetrics = (legs, assetPrice, marginRequired) => {
+export const calculateStrategyMetrics = (legs, assetPrice, marginRequired, pricingParams, feeOptions) => {
 
   let netPremium = 0;
 
-  // Calculate net premium based on the formula: Sum of (Premium × Quantity × +1 for Sell, −1 for Buy)
-  legs.forEach(leg => {
-    const premium = parseFloat(leg.premium) || 0;
-    const contracts = parseInt(leg.contracts) || 1;
-    netPremium += premium * contracts * (leg.action === 'Sell' ? 1 : -1);
+  // Calculate net premium based on the formula: Sum of (Premium × Contracts × Multiplier × +1 for Sell, −1 for Buy)
+  // Coin-quoted premiums are converted to USD at the entry asset price
+  legs.filter(isOptionLeg).forEach(leg => {
+    const premium = getLegPremiumUsd(leg, parseFloat(assetPrice) || 0);
+    netPremium += premium * getLegQuantity(leg) * (leg.action === 'Sell' ? 1 : -1);
   });
 
-  // Determine a reasonable price range for simulation
-  const strikes = legs.map(leg => parseFloat(leg.strike) || 0).filter(strike => strike > 0);
-  const minStrike = strikes.length > 0 ? Math.min(...strikes) : 10;
-  const maxStrike = strikes.length > 0 ? Math.max(...strikes) : 100;
+  // Fees paid on the fills so far, entry fees for a strategy that was just opened
+  const entryFees = calculateStrategyFees(legs, { ...feeOptions, entryPrice: parseFloat(assetPrice) || 0, closePrice: undefined, funding: 0 }).total;
 
-  const priceRangeStart = Math.max(0, minStrike * 0.5);
-  const priceRangeEnd = maxStrike * 1.5;
-  const priceStep = (priceRangeEnd - priceRangeStart) / 500; // Simulate 500 points
-
-  let maxProfit = -Infinity;
-  let maxLoss = Infinity;
-  const pnlCurve = [];
-
-  for (let price = priceRangeStart; price <= priceRangeEnd; price += priceStep) {
-    const pnl = calculateStrategyPayoff(legs, price);
-    pnlCurve.push({ price, pnl });
-    if (pnl > maxProfit) {
-      maxProfit = pnl;
-    }
-    if (pnl < maxLoss) {
-      maxLoss = pnl;
-    }
-  }
-
-  // Find breakeven points by checking for sign changes in PnL
-  const breakevens = [];
-  for (let i = 0; i < pnlCurve.length - 1; i++) {
-    const p1 = pnlCurve[i];
-    const p2 = pnlCurve[i + 1];
-
-    if ((p1.pnl <= 0 && p2.pnl > 0) || (p1.pnl >= 0 && p2.pnl < 0)) {
-      // Linear interpolation to find the exact breakeven point
-      const breakevenPrice = p1.price - p1.pnl * (p2.price - p1.price) / (p2.pnl - p1.pnl);
-      if (breakevenPrice >= 0) { // Ensure breakeven is not negative
-        breakevens.push(breakevenPrice);
-      }
-    }
-  }
+  // Max profit, max loss and breakevens come straight from the (front) expiry payoff
+  const { maxProfit, maxLoss, breakevens } = analyzeExpiryPayoff(legs, pricingParams);
 
   // Remove duplicates and sort breakevens
   const uniqueBreakevens = [...new Set(breakevens.map(b => parseFloat(b.toFixed(2))))].sort((a, b) => a - b);
 
-  // Handle "Unlimited" profit/loss for single legs
-  if (legs.length === 1) {
-    const leg = legs[0];
-    if (leg.action === 'Buy' && leg.type === 'Call') {
-      maxProfit = 'Unlimited';
-    } else if (leg.action === 'Sell' && leg.type === 'Call') {
-      maxLoss = 'Unlimited';
-    } else if (leg.action === 'Buy' && leg.type === 'Put') {
-      // Max profit for long put is strike - premium, if price goes to 0
-      maxProfit = Math.max(0, (parseFloat(leg.strike) || 0) - (parseFloat(leg.premium) || 0)) * (parseInt(leg.contracts) || 1);
-    } else if (leg.action === 'Sell' && leg.type === 'Put') {
-      // Max loss for naked put is strike - premium, if price goes to 0
-      maxLoss = Math.max(0, (parseFloat(leg.strike) || 0) - (parseFloat(leg.premium) || 0)) * (parseInt(leg.contracts) || 1);
-    }
-  }
-
   // Calculate ROI
   let roi = 0;
   if (marginRequired && marginRequired !== 0) {
     roi = (netPremium / marginRequired) * 100;
   }
 
-  // Probability of profit is complex and requires implied volatility,
-  // which is beyond the scope of this current calculation.
-  // Returning 'N/A' or a placeholder for now.
-  const probProfit = 'N/A'; 
+  // Theoretical value and probabilities require a price and a volatility to model the underlying with
+  let probProfit = 'N/A';
+  let probMaxProfit = 'N/A';
+  let probTouch = [];
+  let theoreticalValue = null;
+  let theoreticalPnl = null;
+  let greeks = null;
+  let legGreeks = [];
+  if (assetPrice > 0 && pricingParams && pricingParams.volatility > 0) {
+    if (pricingParams.time > 0) {
+      const probabilities = calculateProbabilities(legs, assetPrice, pricingParams, uniqueBreakevens, maxProfit);
+      probProfit = probabilities.probProfit;
+      probMaxProfit = probabilities.probMaxProfit;
+      probTouch = probabilities.probTouch;
+    }
 
-  const strategyDetails = detectStrategy(legs);
+    const theoretical = calculateStrategyTheoreticalValue(legs, assetPrice, pricingParams);
+    theoreticalValue = parseFloat(theoretical.value.toFixed(2));
+    theoreticalPnl = parseFloat(theoretical.pnl.toFixed(2));
+
+    const strategyGreeks = calculateStrategyGreeks(legs, assetPrice, pricingParams);
+    greeks = strategyGreeks.net;
+    legGreeks = strategyGreeks.legs;
+  }
+
+  const strategyDetails = detectStrategy(legs, parseFloat(assetPrice) || 0);
 
   return {
     netPremium: parseFloat(netPremium.toFixed(2)),
+    entryFees: parseFloat(entryFees.toFixed(2)),
+    netPremiumAfterFees: parseFloat((netPremium - entryFees).toFixed(2)),
     maxProfit: maxProfit === 'Unlimited' ? maxProfit : parseFloat(maxProfit.toFixed(2)),
     maxLoss: maxLoss === 'Unlimited' ? maxLoss : parseFloat(maxLoss.toFixed(2)),
     breakevens: uniqueBreakevens,
     probProfit,
+    probMaxProfit,
+    probTouch,
     roi: parseFloat(roi.toFixed(2)),
+    theoreticalValue,
+    theoreticalPnl,
+    greeks,
+    legGreeks,
     strategyName: strategyDetails.name,
     strategyType: strategyDetails.type,
     direction: strategyDetails.direction,
     isCredit: strategyDetails.isCredit,
     isReverse: strategyDetails.isReverse,
     optionType: strategyDetails.optionType,
+    strategyConfidence: strategyDetails.confidence,
+    strategyAlternatives: strategyDetails.alternatives,
   };
 };
 
 /**
- * Generates data points for the payoff chart.
+ * @typedef {object} TradeResult
+ * @property {'pending' | 'profit' | 'loss'} tradeOutcome - The outcome derived from the realized P&L.
+ * @property {string} status - One of POSITION_STATUSES, from the fills (closed once a close price is known).
+ * @property {number | null} pnl - The realized P&L net of fees in the settlement asset (USD or coin), null while pending.
+ * @property {number | null} pnlUsd - The realized P&L net of fees in USD.
+ * @property {number | null} pnlCoin - The realized P&L net of fees in the underlying coin.
+ * @property {number | null} grossPnl - The realized P&L before fees in the settlement asset.
+ * @property {number | null} grossPnlUsd - The realized P&L before fees in USD.
+ * @property {number | null} feesUsd - Fees, slippage and funding in USD.
+ * @property {number | null} roi - The realized P&L net of fees as a percentage of the margin required.
+ */
+
+/**
+ * Derives the realized P&L, ROI and outcome of a strategy from its legs' fills and exit prices.
+ * The strategy stays pending until its fills close every leg or a close price is known; with a
+ * close price, contracts still open are settled at expiry at that price.
  * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
- * @returns {{assetPrices: number[], payoffs: number[]}} An object containing arrays of asset prices and corresponding payoffs.
+ * @param {number} [closePrice] - The underlying price when the strategy was closed or settled.
+ * @param {string} [settlementAsset] - 'USD' or the coin the strategy settles in.
+ * @param {number} [marginRequired] - The margin required, in the settlement asset.
+ * @param {number} [referencePrice] - The price coin amounts are converted at without a close price (usually the entry price).
+ * @param {import('./feeSchedules').StrategyFees} [fees] - The trading costs of the strategy (see calculateStrategyFees).
+ * @returns {TradeResult} The realized result.
  */
-export const generatePayoffData = (legs) => {
-  if (!legs || legs.length === 0) {
-    return { assetPrices: [], payoffs: [] };
+export const calculateTradeResult = (legs, closePrice, settlementAsset, marginRequired, referencePrice, fees) => {
+  const realized = calculateRealizedPnl(legs, closePrice, referencePrice);
+  if (!realized) {
+    return { tradeOutcome: 'pending', status: getStrategyStatus(legs), pnl: null, pnlUsd: null, pnlCoin: null, grossPnl: null, grossPnlUsd: null, feesUsd: null, roi: null };
   }
 
-  // Determine a reasonable range for asset prices based on strikes
-  const strikes = legs.map(leg => parseFloat(leg.strike) || 0).filter(strike => strike > 0);
-  const minStrike = strikes.length > 0 ? Math.min(...strikes) : 10;
-  const maxStrike = strikes.length > 0 ? Math.max(...strikes) : 100;
+  // Fees typed into fills are already in the realized P&L; the rest comes off it here
+  const recordedFees = fees ? fees.recorded : 0;
+  const feesUsd = fees ? fees.total : recordedFees;
+  const conversionPrice = closePrice > 0 ? closePrice : referencePrice;
+  const toCoin = (usd) => (realized.coin === null || !(conversionPrice > 0) ? null : parseFloat((usd / conversionPrice).toFixed(8)));
+
+  const isCoinSettled = !!settlementAsset && settlementAsset !== 'USD';
+  const netUsd = realized.usd + recordedFees - feesUsd;
+  const grossUsd = realized.usd + recordedFees;
+  const pnlCoin = fees ? toCoin(netUsd) : realized.coin === null ? null : parseFloat(realized.coin.toFixed(8));
+  const pnlUsd = parseFloat(netUsd.toFixed(2));
+  const pnl = isCoinSettled ? pnlCoin : pnlUsd;
+  return {
+    tradeOutcome: pnlUsd < 0 ? 'loss' : 'profit',
+    status: POSITION_STATUSES.CLOSED,
+    pnl,
+    pnlUsd,
+    pnlCoin,
+    grossPnl: isCoinSettled ? toCoin(grossUsd) : parseFloat(grossUsd.toFixed(2)),
+    grossPnlUsd: parseFloat(grossUsd.toFixed(2)),
+    feesUsd: parseFloat(feesUsd.toFixed(2)),
+    roi: marginRequired && pnl !== null ? parseFloat(((pnl / marginRequired) * 100).toFixed(2)) : null,
+  };
+};
 
-  const minPrice = Math.max(0, minStrike * 0.5);
-  const maxPrice = maxStrike * 1.5;
-  const step = (maxPrice - minPrice) / 100;
+/**
+ * Converts a USD amount into the settlement asset of a strategy, the unit its P&L, gross P&L and
+ * fees are saved in.
+ * @param {number} usd - The amount in USD.
+ * @param {string} [settlementAsset] - 'USD' or the coin the strategy settles in.
+ * @param {number} [price] - The underlying price to convert at (the settlement price, else the entry price).
+ * @returns {number | null} The amount in the settlement asset, null for a coin without a price.
+ */
+export const toSettlementAmount = (usd, settlementAsset, price) => {
+  if (!settlementAsset || settlementAsset === 'USD') return parseFloat(usd.toFixed(2));
+  return price > 0 ? parseFloat((usd / price).toFixed(8)) : null;
+};
 
-  const assetPrices = [];
-  const payoffs = [];
+/**
+ * Converts an amount saved in the settlement asset of a strategy to USD, at the price it settled
+ * at or, for strategies saved without one, its entry price. Totals across strategies add these.
+ * @param {object} strategy - A saved strategy.
+ * @param {number} amount - The amount in the settlement asset.
+ * @returns {number} The amount in USD.
+ */
+export const settlementAmountToUsd = (strategy, amount) => {
+  if (!strategy.settlement_asset || strategy.settlement_asset === 'USD') return amount;
+  return amount * (parseFloat(strategy.settlement_price) || parseFloat(strategy.asset_price) || 0);
+};
 
-  for (let price = minPrice; price <= maxPrice; price += step) {
-    assetPrices.push(price);
-    payoffs.push(calculateStrategyPayoff(legs, price));
+/**
+ * Generates data points for the payoff chart.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} [assetPrice] - The current asset price, kept inside the plotted range.
+ * @param {import('./pricing').PricingParams} [pricingParams] - Volatility, rate and model for back-month legs.
+ * @returns {{assetPrices: number[], payoffs: number[]}} An object containing arrays of asset prices and corresponding payoffs.
+ */
+export const generatePayoffData = (legs, assetPrice, pricingParams) => {
+  if (!legs || legs.length === 0) {
+    return { assetPrices: [], payoffs: [] };
   }
 
-  return { assetPrices, payoffs };
+  const points = generatePayoffPoints(legs, assetPrice, pricingParams);
+  return {
+    assetPrices: points.map(point => point.x),
+    payoffs: points.map(point => point.y),
+  };
 };
@@ -0,0 +1,486 @@
+/**
+ * Rule-based strategy recognition.
+ * Legs are first reduced to a "shape": the net signed quantity held at each strike, per option
+ * type, so a butterfly entered as four legs or as 1-2-1 contracts looks the same. Every rule in
+ * STRATEGY_RULES then inspects that shape and either rejects it or returns a name and a
+ * confidence; the best match names the strategy and the others become alternatives.
+ */
+
+import { parseExpiryDate } from './pricing';
+import { getLegPremiumUsd, getLegQuantity, isLinearLeg, isOptionLeg } from './legUtils';
+
+/**
+ * @typedef {object} StrikePosition
+ * @property {number} strike - The strike price.
+ * @property {number} quantity - Net signed quantity at the strike (positive long, negative short).
+ */
+
+/**
+ * @typedef {object} StrategyShape
+ * @property {Array<import('../components/Leg').LegValues>} legs - The original legs.
+ * @property {StrikePosition[]} calls - Net call positions sorted by strike.
+ * @property {StrikePosition[]} puts - Net put positions sorted by strike.
+ * @property {number} underlying - Net signed size of the spot, perpetual and futures legs.
+ * @property {boolean} hasLinear - True when any leg is a spot, perpetual or futures leg.
+ * @property {boolean} hasStrikes - True when every option leg has a valid strike.
+ * @property {boolean} isMixedExpiry - True when the legs expire on different dates.
+ * @property {number} netPremium - Premium received minus premium paid.
+ * @property {number} [underlyingPrice] - The price coin-quoted premiums were converted at.
+ */
+
+/**
+ * @typedef {object} RuleMatch
+ * @property {string} name - The strategy name.
+ * @property {number} confidence - How well the legs fit the rule, between 0 and 1.
+ * @property {boolean} [isReverse] - True for the reversed (opposite side) version of the structure.
+ * @property {string[]} [aliases] - Other common names for the same structure.
+ */
+
+/**
+ * @typedef {object} StrategyRule
+ * @property {string} type - The strategy family, e.g. 'Vertical Spread'.
+ * @property {function(StrategyShape): (RuleMatch | null)} match - Returns a match, or null if the rule does not apply.
+ */
+
+/**
+ * @typedef {object} StrategyAlternative
+ * @property {string} name - The alternative strategy name.
+ * @property {string} type - The alternative strategy family.
+ * @property {number} confidence - Confidence between 0 and 1.
+ */
+
+// Quantities may be fractional (0.1 BTC), so they are rounded before being compared exactly
+const roundQuantity = (quantity) => Math.round(quantity * 1e9) / 1e9;
+const getQuantity = (leg) => roundQuantity(getLegQuantity(leg));
+
+/**
+ * Nets the legs of one option type into signed quantities per strike.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {'Call' | 'Put'} type - The option type to collect.
+ * @returns {StrikePosition[]} Non-zero positions sorted by strike.
+ */
+const netPositions = (legs, type) => {
+  const byStrike = new Map();
+  legs.filter(leg => leg.type === type).forEach(leg => {
+    const strike = parseFloat(leg.strike);
+    const quantity = getQuantity(leg) * (leg.action === 'Sell' ? -1 : 1);
+    byStrike.set(strike, roundQuantity((byStrike.get(strike) || 0) + quantity));
+  });
+  return [...byStrike.entries()]
+    .filter(([, quantity]) => quantity !== 0)
+    .map(([strike, quantity]) => ({ strike, quantity }))
+    .sort((a, b) => a.strike - b.strike);
+};
+
+/**
+ * Builds the shape that every rule inspects.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} [underlyingPrice] - The price coin-quoted premiums are converted to USD at.
+ * @returns {StrategyShape}
+ */
+const buildShape = (legs, underlyingPrice) => {
+  const optionLegs = legs.filter(isOptionLeg);
+  const linearLegs = legs.filter(isLinearLeg);
+  const expiries = new Set(optionLegs.map(leg => (leg.expiry ? parseExpiryDate(leg.expiry).getTime() : NaN)).filter(time => !isNaN(time)));
+  const netPremium = optionLegs.reduce((total, leg) => {
+    // Without a price, coin premiums are only comparable with each other
+    const premium = underlyingPrice > 0 ? getLegPremiumUsd(leg, underlyingPrice) : parseFloat(leg.premium) || 0;
+    return total + premium * getQuantity(leg) * (leg.action === 'Sell' ? 1 : -1);
+  }, 0);
+
+  return {
+    legs,
+    calls: netPositions(legs, 'Call'),
+    puts: netPositions(legs, 'Put'),
+    underlying: roundQuantity(linearLegs.reduce((total, leg) => total + getQuantity(leg) * (leg.action === 'Sell' ? -1 : 1), 0)),
+    hasLinear: linearLegs.length > 0,
+    hasStrikes: optionLegs.every(leg => parseFloat(leg.strike) > 0),
+    isMixedExpiry: expiries.size > 1,
+    netPremium,
+    underlyingPrice,
+  };
+};
+
+/**
+ * Returns the scale k such that the position quantities equal k times the pattern, or 0 if they do not.
+ * A negative k means the positions are the pattern with every side flipped.
+ * @param {StrikePosition[]} positions - Positions sorted by strike.
+ * @param {number[]} pattern - Signed unit quantities, lowest strike first.
+ * @returns {number} The scale, or 0 when the positions do not follow the pattern.
+ */
+const patternScale = (positions, pattern) => {
+  if (positions.length !== pattern.length) return 0;
+  const scale = positions[0].quantity / pattern[0];
+  return positions.every((position, i) => position.quantity === roundQuantity(scale * pattern[i])) ? scale : 0;
+};
+
+const greatestCommonDivisor = (a, b) => (b === 0 ? a : greatestCommonDivisor(b, a % b));
+
+// "1x2" for whole contracts, "1x2.5" once fractional sizes are involved
+const formatRatio = (near, far) => {
+  if (Number.isInteger(near) && Number.isInteger(far)) {
+    const divisor = greatestCommonDivisor(near, far);
+    return `${near / divisor}x${far / divisor}`;
+  }
+  return `1x${parseFloat((far / near).toFixed(2))}`;
+};
+
+// Only one option type is held: its positions, and the singular type name for labels
+const singleType = (shape) => {
+  if (shape.calls.length > 0 && shape.puts.length === 0) return { positions: shape.calls, type: 'Call' };
+  if (shape.puts.length > 0 && shape.calls.length === 0) return { positions: shape.puts, type: 'Put' };
+  return null;
+};
+
+/**
+ * Describes a calendar or diagonal pair: two opposite-side options of the same type that expire
+ * on different dates. A long time spread buys the back month and sells the front month.
+ * @param {Array<import('../components/Leg').LegValues>} pair - The two legs.
+ * @returns {{isCalendar: boolean, direction: 'Long' | 'Short', optionType: string} | null} The pair, or null if the legs do not form one.
+ */
+const describeTimePair = (pair) => {
+  if (pair.length !== 2 || pair[0].type !== pair[1].type || pair[0].action === pair[1].action) return null;
+  if (getQuantity(pair[0]) !== getQuantity(pair[1])) return null;
+  const expiryTime = (leg) => parseExpiryDate(leg.expiry).getTime();
+  const [front, back] = [...pair].sort((a, b) => expiryTime(a) - expiryTime(b));
+  if (!(expiryTime(front) < expiryTime(back))) return null;
+  return {
+    isCalendar: parseFloat(front.strike) === parseFloat(back.strike),
+    direction: back.action === 'Buy' ? 'Long' : 'Short',
+    optionType: front.type,
+  };
+};
+
+// Rules for option structures whose legs share one expiry
+const sameExpiry = (match) => (shape) => (shape.isMixedExpiry || !shape.hasStrikes || shape.hasLinear ? null : match(shape));
+
+// Rules for options held against a long or short underlying position
+const withUnderlying = (match) => (shape) => (shape.isMixedExpiry || !shape.hasStrikes || shape.underlying === 0 ? null : match(shape));
+
+/**
+ * The strategy rules, evaluated in order. Add new structures here.
+ * @type {StrategyRule[]}
+ */
+export const STRATEGY_RULES = [
+  {
+    type: 'Single Leg',
+    match: (shape) => {
+      if (shape.legs.length !== 1) return null;
+      const leg = shape.legs[0];
+      if (isLinearLeg(leg)) {
+        return { name: `${leg.action === 'Buy' ? 'Long' : 'Short'} ${leg.type}`, confidence: 1 };
+      }
+      return leg.action === 'Buy'
+        ? { name: `Long ${leg.type}`, confidence: 1 }
+        : { name: `Naked ${leg.type}`, confidence: 1, aliases: [`Short ${leg.type}`] };
+    },
+  },
+  {
+    type: 'Vertical Spread',
+    match: sameExpiry((shape) => {
+      const single = singleType(shape);
+      if (!single) return null;
+      const scale = patternScale(single.positions, [1, -1]);
+      if (!scale) return null;
+      // Long the lower strike is bullish for both calls and puts
+      if (single.type === 'Call') {
+        return scale > 0
+          ? { name: 'Bull Call Spread', confidence: 1, aliases: ['Call Debit Spread'] }
+          : { name: 'Bear Call Spread', confidence: 1, aliases: ['Call Credit Spread'] };
+      }
+      return scale > 0
+        ? { name: 'Bull Put Spread', confidence: 1, aliases: ['Put Credit Spread'] }
+        : { name: 'Bear Put Spread', confidence: 1, aliases: ['Put Debit Spread'] };
+    }),
+  },
+  {
+    type: 'Ratio Spread',
+    match: sameExpiry((shape) => {
+      const single = singleType(shape);
+      if (!single || single.positions.length !== 2) return null;
+      const [low, high] = single.positions;
+      if (Math.sign(low.quantity) === Math.sign(high.quantity) || Math.abs(low.quantity) === Math.abs(high.quantity)) return null;
+
+      // The larger side has to be the one further out of the money
+      const [near, far] = single.type === 'Call' ? [low, high] : [high, low];
+      if (Math.abs(far.quantity) < Math.abs(near.quantity)) return null;
+
+      const ratio = formatRatio(Math.abs(near.quantity), Math.abs(far.quantity));
+      return far.quantity < 0
+        ? { name: `${single.type} Ratio Spread (${ratio})`, confidence: 1, aliases: [`${single.type} Front Ratio Spread`] }
+        : { name: `${single.type} Backspread (${ratio})`, confidence: 1, isReverse: true, aliases: [`${single.type} Ratio Backspread`] };
+    }),
+  },
+  {
+    type: 'Butterfly',
+    match: sameExpiry((shape) => {
+      const single = singleType(shape);
+      if (!single) return null;
+      const scale = patternScale(single.positions, [1, -2, 1]);
+      if (!scale) return null;
+      const [low, middle, high] = single.positions.map(position => position.strike);
+      const side = scale > 0 ? 'Long' : 'Short';
+      if (Math.abs((middle - low) - (high - middle)) > 1e-9) {
+        return { name: `${side} Broken Wing ${single.type} Butterfly`, confidence: 1, isReverse: scale < 0, aliases: [`${side} ${single.type} Butterfly`] };
+      }
+      return { name: `${side} ${single.type} Butterfly`, confidence: 1, isReverse: scale < 0 };
+    }),
+  },
+  {
+    type: 'Condor',
+    match: sameExpiry((shape) => {
+      const single = singleType(shape);
+      if (!single) return null;
+      const scale = patternScale(single.positions, [1, -1, -1, 1]);
+      if (!scale) return null;
+      return { name: `${scale > 0 ? 'Long' : 'Short'} ${single.type} Condor`, confidence: 1, isReverse: scale < 0 };
+    }),
+  },
+  {
+    type: 'Combination',
+    match: sameExpiry((shape) => {
+      if (shape.calls.length !== 1 || shape.puts.length !== 1) return null;
+      const [call] = shape.calls;
+      const [put] = shape.puts;
+      if (Math.sign(call.quantity) !== Math.sign(put.quantity)) return null;
+
+      const side = call.quantity > 0 ? 'Long' : 'Short';
+      // Unequal sizes are straps (extra calls) or strips (extra puts) around the same idea
+      const confidence = call.quantity === put.quantity ? 1 : 0.7;
+      if (call.strike === put.strike) {
+        return { name: `${side} Straddle`, confidence };
+      }
+      if (put.strike < call.strike) {
+        return { name: `${side} Strangle`, confidence };
+      }
+      return { name: `${side} Guts Strangle`, confidence, aliases: [`${side} Strangle`] };
+    }),
+  },
+  {
+    type: 'Synthetic',
+    match: sameExpiry((shape) => {
+      if (shape.calls.length !== 1 || shape.puts.length !== 1) return null;
+      const [call] = shape.calls;
+      const [put] = shape.puts;
+      if (call.strike !== put.strike || call.quantity !== -put.quantity) return null;
+      return call.quantity > 0
+        ? { name: 'Synthetic Long', confidence: 1 }
+        : { name: 'Synthetic Short', confidence: 1, isReverse: true };
+    }),
+  },
+  {
+    type: 'Risk Reversal',
+    match: sameExpiry((shape) => {
+      if (shape.calls.length !== 1 || shape.puts.length !== 1) return null;
+      const [call] = shape.calls;
+      const [put] = shape.puts;
+      if (put.strike >= call.strike || call.quantity !== -put.quantity) return null;
+      // Without an underlying leg a long put and short call may also be an open collar
+      return call.quantity > 0
+        ? { name: 'Long Risk Reversal', confidence: 0.9, aliases: ['Bullish Risk Reversal'] }
+        : { name: 'Short Risk Reversal', confidence: 0.9, isReverse: true, aliases: ['Bearish Risk Reversal'] };
+    }),
+  },
+  {
+    type: 'Collar',
+    match: sameExpiry((shape) => {
+      if (shape.calls.length !== 1 || shape.puts.length !== 1) return null;
+      const [call] = shape.calls;
+      const [put] = shape.puts;
+      if (put.strike >= call.strike || put.quantity <= 0 || call.quantity !== -put.quantity) return null;
+      // The protected underlying is held outside the option legs
+      return { name: 'Collar', confidence: 0.6, aliases: ['Zero-Cost Collar'] };
+    }),
+  },
+  {
+    type: 'Iron Butterfly',
+    match: sameExpiry((shape) => {
+      const putScale = patternScale(shape.puts, [1, -1]);
+      const callScale = patternScale(shape.calls, [-1, 1]);
+      if (!putScale || putScale !== callScale || shape.puts[1].strike !== shape.calls[0].strike) return null;
+      const lowerWing = shape.puts[1].strike - shape.puts[0].strike;
+      const upperWing = shape.calls[1].strike - shape.calls[0].strike;
+      const prefix = putScale > 0 ? '' : 'Reverse ';
+      if (Math.abs(lowerWing - upperWing) > 1e-9) {
+        return { name: `${prefix}Broken Wing Iron Butterfly`, confidence: 1, isReverse: putScale < 0, aliases: [`${prefix}Iron Butterfly`] };
+      }
+      return { name: `${prefix}Iron Butterfly`, confidence: 1, isReverse: putScale < 0 };
+    }),
+  },
+  {
+    type: 'Condor',
+    match: sameExpiry((shape) => {
+      const putScale = patternScale(shape.puts, [1, -1]);
+      const callScale = patternScale(shape.calls, [-1, 1]);
+      if (!putScale || putScale !== callScale || shape.puts[1].strike >= shape.calls[0].strike) return null;
+      return putScale > 0
+        ? { name: 'Iron Condor', confidence: 1, aliases: ['Short Iron Condor'] }
+        : { name: 'Reverse Iron Condor', confidence: 1, isReverse: true, aliases: ['Long Iron Condor'] };
+    }),
+  },
+  {
+    type: 'Jade Lizard',
+    match: sameExpiry((shape) => {
+      // Short put plus a short call spread above it, or the mirror image for the reverse lizard
+      if (shape.puts.length === 1 && shape.puts[0].quantity < 0) {
+        const scale = patternScale(shape.calls, [-1, 1]);
+        if (scale !== -shape.puts[0].quantity || shape.puts[0].strike >= shape.calls[0].strike) return null;
+        // A true jade lizard collects at least the call spread width, leaving no upside risk
+        const width = (shape.calls[1].strike - shape.calls[0].strike) * Math.abs(scale);
+        return { name: 'Jade Lizard', confidence: shape.netPremium >= width ? 1 : 0.8 };
+      }
+      if (shape.calls.length === 1 && shape.calls[0].quantity < 0) {
+        const scale = patternScale(shape.puts, [1, -1]);
+        if (scale !== -shape.calls[0].quantity || shape.puts[1].strike >= shape.calls[0].strike) return null;
+        const width = (shape.puts[1].strike - shape.puts[0].strike) * Math.abs(scale);
+        return { name: 'Reverse Jade Lizard', confidence: shape.netPremium >= width ? 1 : 0.8, isReverse: true, aliases: ['Twisted Sister'] };
+      }
+      return null;
+    }),
+  },
+  {
+    type: 'Seagull',
+    match: sameExpiry((shape) => {
+      // A debit spread financed by selling an option on the other side
+      if (shape.puts.length === 1 && shape.puts[0].quantity < 0) {
+        const scale = patternScale(shape.calls, [1, -1]);
+        if (scale !== -shape.puts[0].quantity || shape.puts[0].strike >= shape.calls[0].strike) return null;
+        return { name: 'Bullish Seagull', confidence: 1, aliases: ['Call Spread Risk Reversal'] };
+      }
+      if (shape.calls.length === 1 && shape.calls[0].quantity < 0) {
+        const scale = patternScale(shape.puts, [-1, 1]);
+        if (scale !== -shape.calls[0].quantity || shape.puts[1].strike >= shape.calls[0].strike) return null;
+        return { name: 'Bearish Seagull', confidence: 1, aliases: ['Put Spread Collar'] };
+      }
+      return null;
+    }),
+  },
+  {
+    type: 'Covered',
+    match: withUnderlying((shape) => {
+      // One option per unit of underlying, sold on the side the underlying already covers
+      if (shape.calls.length === 1 && shape.puts.length === 0 && shape.calls[0].quantity === -shape.underlying) {
+        return shape.underlying > 0
+          ? { name: 'Covered Call', confidence: 1, aliases: ['Buy-Write'] }
+          : { name: 'Protective Call', confidence: 1, isReverse: true, aliases: ['Synthetic Long Put'] };
+      }
+      if (shape.puts.length === 1 && shape.calls.length === 0 && shape.puts[0].quantity === shape.underlying) {
+        return shape.underlying > 0
+          ? { name: 'Protective Put', confidence: 1, aliases: ['Married Put', 'Synthetic Long Call'] }
+          : { name: 'Covered Put', confidence: 1, isReverse: true, aliases: ['Synthetic Short Call'] };
+      }
+      return null;
+    }),
+  },
+  {
+    type: 'Collar',
+    match: withUnderlying((shape) => {
+      if (shape.calls.length !== 1 || shape.puts.length !== 1) return null;
+      const [call] = shape.calls;
+      const [put] = shape.puts;
+      if (put.strike >= call.strike || shape.underlying <= 0 || put.quantity !== shape.underlying || call.quantity !== -shape.underlying) return null;
+      return { name: 'Collar', confidence: 1, aliases: ['Zero-Cost Collar'] };
+    }),
+  },
+  {
+    type: 'Basis Trade',
+    match: (shape) => {
+      // Long spot against an equal short perpetual or future collects the funding or basis
+      if (shape.calls.length > 0 || shape.puts.length > 0 || shape.legs.length !== 2 || shape.underlying !== 0) return null;
+      const spot = shape.legs.find(leg => leg.type === 'Spot');
+      const hedge = shape.legs.find(leg => leg.type === 'Perpetual' || leg.type === 'Future');
+      if (!spot || !hedge) return null;
+      return spot.action === 'Buy'
+        ? { name: 'Cash and Carry', confidence: 1, aliases: ['Basis Trade'] }
+        : { name: 'Reverse Cash and Carry', confidence: 1, isReverse: true };
+    },
+  },
+  {
+    type: 'Delta-Hedged',
+    match: (shape) => {
+      // Any option structure with a spot, perpetual or futures hedge on top of it
+      if (!shape.hasLinear) return null;
+      const optionLegs = shape.legs.filter(isOptionLeg);
+      if (optionLegs.length === 0) return null;
+      const options = detectStrategy(optionLegs, shape.underlyingPrice);
+      if (options.confidence === 0) return null;
+      return { name: `Delta-Hedged ${options.name}`, confidence: options.confidence * 0.8 };
+    },
+  },
+  {
+    type: 'Calendar Spread',
+    match: (shape) => {
+      const pair = describeTimePair(shape.legs);
+      if (!pair || !pair.isCalendar) return null;
+      return { name: `${pair.direction} ${pair.optionType} Calendar`, confidence: 1, isReverse: pair.direction === 'Short', aliases: [`${pair.optionType} Time Spread`] };
+    },
+  },
+  {
+    type: 'Diagonal Spread',
+    match: (shape) => {
+      const pair = describeTimePair(shape.legs);
+      if (!pair || pair.isCalendar) return null;
+      return { name: `${pair.direction} ${pair.optionType} Diagonal`, confidence: 1, isReverse: pair.direction === 'Short' };
+    },
+  },
+  {
+    type: 'Double Diagonal',
+    match: (shape) => {
+      if (shape.legs.length !== 4) return null;
+      const callPair = describeTimePair(shape.legs.filter(leg => leg.type === 'Call'));
+      const putPair = describeTimePair(shape.legs.filter(leg => leg.type === 'Put'));
+      if (!callPair || !putPair || callPair.direction !== putPair.direction) return null;
+      const isReverse = callPair.direction === 'Short';
+      return callPair.isCalendar && putPair.isCalendar
+        ? { name: `${callPair.direction} Double Calendar`, confidence: 1, isReverse, aliases: [`${callPair.direction} Double Diagonal`] }
+        : { name: `${callPair.direction} Double Diagonal`, confidence: 1, isReverse };
+    },
+  },
+];
+
+/**
+ * Detects the type of option strategy based on the provided legs.
+ * @param {Array<import('../components/Leg').LegValues>} legs - An array of leg objects.
+ * @param {number} [underlyingPrice] - The entry price of the underlying, used to compare coin-quoted premiums with strikes.
+ * @returns {{name: string, type: string, direction: string, isCredit: boolean, isReverse: boolean, optionType: string, confidence: number, alternatives: StrategyAlternative[]}} Detected strategy details.
+ */
+export const detectStrategy = (legs, underlyingPrice) => {
+  const shape = buildShape(legs, underlyingPrice);
+  const callCount = legs.filter(leg => leg.type === 'Call').length;
+  const putCount = legs.filter(leg => leg.type === 'Put').length;
+  const optionType = callCount === legs.length ? 'Calls' : putCount === legs.length ? 'Puts' : 'Mixed';
+  const isCredit = shape.netPremium > 0;
+  const direction = isCredit ? 'Short' : 'Long';
+
+  // Each match contributes its name and aliases; the highest confidence wins, earlier rules win ties
+  const candidates = [];
+  STRATEGY_RULES.forEach(rule => {
+    const match = rule.match(shape);
+    if (!match) return;
+    candidates.push({ name: match.name, type: rule.type, confidence: match.confidence, isReverse: !!match.isReverse });
+    (match.aliases || []).forEach(alias => {
+      candidates.push({ name: alias, type: rule.type, confidence: match.confidence * 0.95, isReverse: !!match.isReverse });
+    });
+  });
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  if (candidates.length === 0) {
+    return { name: 'Custom Strategy', type: 'Custom', direction, isCredit, isReverse: false, optionType, confidence: 0, alternatives: [] };
+  }
+
+  const [best, ...others] = candidates;
+  const alternatives = others
+    .filter((candidate, i) => candidate.name !== best.name && others.findIndex(other => other.name === candidate.name) === i)
+    .map(({ name, type, confidence }) => ({ name, type, confidence: parseFloat(confidence.toFixed(2)) }));
+
+  return {
+    name: best.name,
+    type: best.type,
+    direction,
+    isCredit,
+    isReverse: best.isReverse,
+    optionType,
+    confidence: parseFloat(best.confidence.toFixed(2)),
+    alternatives,
+  };
+};
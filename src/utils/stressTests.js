@@ -0,0 +1,206 @@
+/**
+ * Portfolio stress tests: every open position and every wallet holding is re-priced under a shock
+ * of the underlying prices and implied volatilities, and the scenario reports the P&L impact, the
+ * change in estimated margin and whether the capital left after margin would go negative.
+ * Each position is valued at the volatility it is marked at (see getMarkVolatility), shifted by
+ * the scenario; without one it is valued at intrinsic value and only the price shock applies.
+ * Options are valued up to their expiry, or their strategy's close date when saved without one.
+ */
+
+import { PREMIUM_CURRENCIES, isLinearLeg, isOptionLeg } from './legUtils';
+import { calculateStrategyTheoreticalValue, getLegPricingParams, priceOption, yearsUntil } from './pricing';
+import { calculateOpenPnl } from './payoffEngine';
+import { estimateMargin } from './marginEstimator';
+import { CASH_ASSETS } from './exercise';
+import { getOpenStrategyLegs, getReferencePrice, isUndatedOptionLeg } from './portfolioRisk';
+import { getMarkVolatility } from './markToMarket';
+
+// Volatility never drops below this after a negative shift
+const MIN_VOLATILITY = 0.01;
+
+/**
+ * @typedef {object} Shock
+ * @property {number} price - Relative price move (−0.2 = 20% lower).
+ * @property {number} iv - Implied volatility points added (−10 = 10 points lower).
+ */
+
+/**
+ * @typedef {object} StressScenario
+ * @property {string} id - A unique id.
+ * @property {string} name - The label shown.
+ * @property {Object<string, Shock>} shocks - Shocks by asset.
+ * @property {Shock | null} [others] - Shock of every other non-cash asset, for moves that drag the whole market.
+ * @property {boolean} [custom] - True for scenarios defined by the user.
+ */
+
+/** @type {StressScenario[]} */
+export const DEFAULT_STRESS_SCENARIOS = [
+  {
+    id: 'btc-down-20',
+    name: 'BTC −20% / IV +30',
+    shocks: { BTC: { price: -0.2, iv: 30 } },
+    others: null,
+  },
+  {
+    id: 'eth-up-15',
+    name: 'ETH +15% / IV −10',
+    shocks: { ETH: { price: 0.15, iv: -10 } },
+    others: null,
+  },
+  {
+    id: 'crash-correlated-alts',
+    name: 'Crash with correlated alts',
+    shocks: { BTC: { price: -0.3, iv: 40 }, ETH: { price: -0.4, iv: 45 } },
+    others: { price: -0.5, iv: 50 },
+  },
+];
+
+const NO_SHOCK = { price: 0, iv: 0 };
+
+/**
+ * @typedef {object} StressResult
+ * @property {StressScenario} scenario - The scenario.
+ * @property {Array<{strategy: object, underlyingAsset: string, pnl: number, marginBefore: number, marginAfter: number, undated: boolean}>} positions -
+ *   P&L impact and initial margin of each open position; undated ones have options without any expiry date,
+ *   valued at intrinsic value so the volatility shock does not reach them.
+ * @property {Array<{asset: string, amount: number, valueBefore: number, pnl: number}>} holdings - P&L impact of each wallet row.
+ * @property {number} positionsPnl - P&L impact of the positions, in USD.
+ * @property {number} holdingsPnl - P&L impact of the wallet, in USD.
+ * @property {number} totalPnl - The whole impact, in USD.
+ * @property {{initial: number, maintenance: number}} marginBefore - Estimated margin today.
+ * @property {{initial: number, maintenance: number}} marginAfter - Estimated margin under the scenario.
+ * @property {number} marginChange - Change in initial margin, in USD.
+ * @property {number} availableBefore - Wallet value plus open P&L, less initial margin, today.
+ * @property {number} availableAfter - The same under the scenario.
+ * @property {boolean} breached - True when the available capital goes negative under the scenario.
+ * @property {number} undatedPositions - The number of undated positions.
+ */
+
+/**
+ * Returns the shock a scenario applies to an asset. Cash never moves.
+ * @param {StressScenario} scenario - The scenario.
+ * @param {string} asset - The asset.
+ * @returns {Shock} The shock.
+ */
+export const getAssetShock = (scenario, asset) => {
+  if (CASH_ASSETS.includes(asset)) return NO_SHOCK;
+  return { ...NO_SHOCK, ...(scenario.shocks[asset] || scenario.others || NO_SHOCK) };
+};
+
+/**
+ * Returns the legs marked at a price and volatility, so margin is estimated on current values:
+ * options at their model price in USD, perpetuals, futures and spot at the price.
+ * @param {Array<import('../components/Leg').LegValues>} legs - The open legs.
+ * @param {number} price - The underlying price.
+ * @param {number | null} volatility - The volatility, null to keep the entry premiums.
+ * @param {Date} valuationDate - The valuation date.
+ * @param {number} time - Time to expiry in years of options without an expiry date.
+ * @returns {Array<import('../components/Leg').LegValues>} The marked legs.
+ */
+const markLegs = (legs, price, volatility, valuationDate, time) => legs.map(leg => {
+  if (isLinearLeg(leg)) return { ...leg, entryPrice: price };
+  if (!isOptionLeg(leg) || !(volatility > 0)) return leg;
+  const params = getLegPricingParams(leg, { volatility, rate: 0, time, valuationDate });
+  return {
+    ...leg,
+    premium: priceOption(leg.type, price, parseFloat(leg.strike) || 0, params),
+    premiumCurrency: PREMIUM_CURRENCIES.USD,
+  };
+});
+
+/**
+ * Values the open legs of one position at a price and volatility.
+ * @param {Array<import('../components/Leg').LegValues>} legs - The open legs.
+ * @param {number} price - The underlying price.
+ * @param {number | null} volatility - The volatility, null for intrinsic values.
+ * @param {Date} valuationDate - The valuation date.
+ * @param {number} time - Time to expiry in years of options without an expiry date.
+ * @returns {{pnl: number, margin: {initial: number, maintenance: number}}} The open P&L and estimated margin.
+ */
+const valuePosition = (legs, price, volatility, valuationDate, time) => {
+  const pnl = volatility > 0
+    ? calculateStrategyTheoreticalValue(legs, price, { volatility, rate: 0, time, valuationDate }).pnl
+    : calculateOpenPnl(legs, price);
+  const margin = estimateMargin(markLegs(legs, price, volatility, valuationDate, time), price) || { initial: 0, maintenance: 0 };
+  return { pnl, margin: { initial: margin.initial, maintenance: margin.maintenance } };
+};
+
+/**
+ * Runs one stress scenario over the open positions and the wallet.
+ * @param {StressScenario} scenario - The scenario.
+ * @param {object} portfolio - What is stressed.
+ * @param {Array<object>} portfolio.strategies - The saved strategies; only pending ones are open.
+ * @param {Array<{asset: string, amount: number}>} portfolio.capital - The capital wallet rows.
+ * @param {Object<string, number>} [portfolio.prices] - Live prices by asset.
+ * @param {Date} [portfolio.valuationDate=new Date()] - The valuation date.
+ * @returns {StressResult} The impact of the scenario.
+ */
+export const runStressTest = (scenario, { strategies, capital, prices, valuationDate = new Date() }) => {
+  const positions = strategies
+    .map(strategy => ({ strategy, legs: getOpenStrategyLegs(strategy) }))
+    .filter(position => position.legs.length > 0)
+    .map(({ strategy, legs }) => {
+      const underlyingAsset = strategy.underlying_asset;
+      const price = getReferencePrice(strategies, underlyingAsset, prices);
+      const shock = getAssetShock(scenario, underlyingAsset);
+      const volatility = getMarkVolatility(strategy);
+      const shockedVolatility = volatility ? Math.max(MIN_VOLATILITY, volatility + shock.iv / 100) : null;
+      // Options saved without an expiry run to the strategy's close date
+      const time = yearsUntil(strategy.close_date, valuationDate);
+      const before = price > 0 ? valuePosition(legs, price, volatility, valuationDate, time) : null;
+      const after = price > 0 ? valuePosition(legs, price * (1 + shock.price), shockedVolatility, valuationDate, time) : null;
+      return {
+        strategy,
+        underlyingAsset,
+        undated: legs.some(isUndatedOptionLeg),
+        openPnl: before ? before.pnl : 0,
+        pnl: before ? after.pnl - before.pnl : 0,
+        marginBefore: before ? before.margin : { initial: 0, maintenance: 0 },
+        marginAfter: after ? after.margin : { initial: 0, maintenance: 0 },
+      };
+    });
+
+  const holdings = capital.map(row => {
+    const amount = parseFloat(row.amount) || 0;
+    const valueBefore = amount * (prices?.[row.asset] || 0);
+    return { asset: row.asset, amount, valueBefore, pnl: valueBefore * getAssetShock(scenario, row.asset).price };
+  });
+
+  const sum = (items, read) => items.reduce((total, item) => total + read(item), 0);
+  const marginBefore = {
+    initial: sum(positions, position => position.marginBefore.initial),
+    maintenance: sum(positions, position => position.marginBefore.maintenance),
+  };
+  const marginAfter = {
+    initial: sum(positions, position => position.marginAfter.initial),
+    maintenance: sum(positions, position => position.marginAfter.maintenance),
+  };
+  const positionsPnl = sum(positions, position => position.pnl);
+  const holdingsPnl = sum(holdings, holding => holding.pnl);
+  const equityBefore = sum(holdings, holding => holding.valueBefore) + sum(positions, position => position.openPnl);
+  const availableBefore = equityBefore - marginBefore.initial;
+  const availableAfter = equityBefore + positionsPnl + holdingsPnl - marginAfter.initial;
+
+  return {
+    scenario,
+    positions: positions.map(position => ({
+      strategy: position.strategy,
+      underlyingAsset: position.underlyingAsset,
+      pnl: position.pnl,
+      marginBefore: position.marginBefore.initial,
+      marginAfter: position.marginAfter.initial,
+      undated: position.undated,
+    })),
+    holdings,
+    positionsPnl,
+    holdingsPnl,
+    totalPnl: positionsPnl + holdingsPnl,
+    marginBefore,
+    marginAfter,
+    marginChange: marginAfter.initial - marginBefore.initial,
+    availableBefore,
+    availableAfter,
+    breached: availableAfter < 0,
+    undatedPositions: positions.filter(position => position.undated).length,
+  };
+};
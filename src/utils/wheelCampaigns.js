@@ -0,0 +1,171 @@
+/**
+ * The wheel: sell cash-secured puts until one is assigned, sell covered calls on the assigned coins
+ * until they are called away, then start over. Campaigns are rebuilt from the saved strategies of
+ * an underlying in open date order; assignments come from the exercise records on the legs.
+ */
+
+import { getLegPremiumUsd, getLegQuantity, isOptionLeg } from './legUtils';
+import { calculateLegRealizedPnl } from './payoffEngine';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const QUANTITY_EPSILON = 1e-9;
+
+export const WHEEL_STAGES = {
+  SELLING_PUTS: 'Selling puts',
+  ASSIGNED: 'Assigned',
+  SELLING_CALLS: 'Selling calls',
+  CALLED_AWAY: 'Called away',
+};
+
+/**
+ * @typedef {object} WheelCampaign
+ * @property {string} underlyingAsset - The underlying the wheel runs on.
+ * @property {Array<object>} strategies - The strategies of the campaign, oldest first.
+ * @property {string} stage - One of WHEEL_STAGES.
+ * @property {number} premiums - Option income in USD: realized P&L of closed trades, credit of open ones.
+ * @property {number} units - Units of the underlying held from assignments.
+ * @property {number | null} costBasis - Average strike paid per unit held, null when nothing is held.
+ * @property {number | null} adjustedCostBasis - Cost basis less every premium collected, per unit held.
+ * @property {number} spotPnl - Realized P&L of the units called away, in USD.
+ * @property {number} capitalDeployed - Largest cash secured by puts plus the cost of units held, in USD.
+ * @property {number} totalReturn - Premiums plus realized spot P&L, in USD.
+ * @property {number} daysInTrade - Days from the first open date to the last close date (or today while running).
+ * @property {number | null} annualizedYield - Total return on capital deployed, annualized, in percent.
+ */
+
+/**
+ * Returns the side of a wheel trade: only short options of one type, optionally next to spot.
+ * @param {object} strategy - A saved strategy.
+ * @returns {'Put' | 'Call' | null} The option type sold, or null when the strategy is not a wheel trade.
+ */
+export const getWheelSide = (strategy) => {
+  const legs = strategy.legs || [];
+  const options = legs.filter(isOptionLeg);
+  if (options.length === 0 || legs.some(leg => !isOptionLeg(leg) && leg.type !== 'Spot')) return null;
+  if (options.some(leg => leg.action !== 'Sell')) return null;
+  if (options.every(leg => leg.type === 'Put')) return 'Put';
+  if (options.every(leg => leg.type === 'Call')) return 'Call';
+  return null;
+};
+
+/**
+ * Returns the option income of a wheel trade in USD: the realized P&L of its option legs once the
+ * trade is closed, the credit collected while it is open.
+ * @param {object} strategy - A saved strategy.
+ * @returns {number} The premium income.
+ */
+const getPremiumIncome = (strategy) => {
+  const options = strategy.legs.filter(isOptionLeg);
+  const entryPrice = parseFloat(strategy.asset_price) || 0;
+  if (strategy.trade_outcome === 'pending') {
+    return options.reduce((total, leg) => total + getLegPremiumUsd(leg, entryPrice) * getLegQuantity(leg), 0);
+  }
+  const closePrice = parseFloat(strategy.settlement_price) || entryPrice;
+  return options.reduce((total, leg) => total + calculateLegRealizedPnl(leg, closePrice), 0);
+};
+
+const createCampaign = (underlyingAsset) => ({
+  underlyingAsset,
+  strategies: [],
+  premiums: 0,
+  units: 0,
+  shareCost: 0,
+  spotPnl: 0,
+  capitalDeployed: 0,
+  calledAway: false,
+});
+
+/**
+ * Completes the running totals of a campaign.
+ * @param {object} campaign - The campaign being built.
+ * @param {Date} today - The date running campaigns are measured to.
+ * @returns {WheelCampaign} The campaign summary.
+ */
+const summarizeCampaign = ({ shareCost, calledAway, ...campaign }, today) => {
+  const last = campaign.strategies[campaign.strategies.length - 1];
+  const openDates = campaign.strategies.map(strategy => new Date(strategy.open_date).getTime()).filter(time => !isNaN(time));
+  const closeDates = campaign.strategies.map(strategy => new Date(strategy.close_date).getTime()).filter(time => !isNaN(time));
+  const start = openDates.length > 0 ? Math.min(...openDates) : NaN;
+  const end = calledAway && closeDates.length > 0 ? Math.max(...closeDates) : today.getTime();
+  const daysInTrade = isNaN(start) ? 0 : Math.max(0, Math.round((end - start) / MS_PER_DAY));
+
+  let stage = WHEEL_STAGES.SELLING_PUTS;
+  if (calledAway) stage = WHEEL_STAGES.CALLED_AWAY;
+  else if (campaign.units > QUANTITY_EPSILON) {
+    stage = last.trade_outcome === 'pending' && getWheelSide(last) === 'Call' ? WHEEL_STAGES.SELLING_CALLS : WHEEL_STAGES.ASSIGNED;
+  }
+
+  const holds = campaign.units > QUANTITY_EPSILON;
+  const totalReturn = campaign.premiums + campaign.spotPnl;
+  return {
+    ...campaign,
+    stage,
+    costBasis: holds ? shareCost / campaign.units : null,
+    adjustedCostBasis: holds ? (shareCost - campaign.premiums) / campaign.units : null,
+    totalReturn,
+    daysInTrade,
+    annualizedYield: campaign.capitalDeployed > 0
+      ? (totalReturn / campaign.capitalDeployed) * (365 / Math.max(1, daysInTrade)) * 100
+      : null,
+  };
+};
+
+/**
+ * Groups the wheel trades of every underlying into campaigns. A campaign ends when the units it was
+ * assigned are all called away; the next put starts a new one.
+ * @param {Array<object>} strategies - The saved strategies.
+ * @param {Date} [today=new Date()] - The date running campaigns are measured to.
+ * @returns {WheelCampaign[]} The campaigns, most recently started first.
+ */
+export const buildWheelCampaigns = (strategies, today = new Date()) => {
+  const sorted = strategies
+    .filter(strategy => getWheelSide(strategy))
+    .sort((a, b) => new Date(a.open_date) - new Date(b.open_date));
+
+  const running = new Map();
+  const campaigns = [];
+  sorted.forEach(strategy => {
+    const asset = strategy.underlying_asset;
+    const campaign = running.get(asset) || createCampaign(asset);
+    running.set(asset, campaign);
+    campaign.strategies.push(strategy);
+    campaign.premiums += getPremiumIncome(strategy);
+
+    const options = strategy.legs.filter(isOptionLeg);
+    const securedCash = options
+      .filter(leg => leg.type === 'Put')
+      .reduce((total, leg) => total + (parseFloat(leg.strike) || 0) * getLegQuantity(leg), 0);
+    campaign.capitalDeployed = Math.max(campaign.capitalDeployed, securedCash + campaign.shareCost);
+
+    options.filter(leg => leg.exercise).forEach(leg => {
+      const strike = parseFloat(leg.strike) || 0;
+      const quantity = leg.exercise.quantity;
+      if (quantity > 0) {
+        campaign.units += quantity;
+        campaign.shareCost += quantity * strike;
+        return;
+      }
+      // Called away at the strike, out of the units held at their average cost
+      const sold = Math.min(-quantity, campaign.units);
+      const averageCost = campaign.units > 0 ? campaign.shareCost / campaign.units : 0;
+      campaign.spotPnl += sold * (strike - averageCost);
+      campaign.shareCost -= sold * averageCost;
+      campaign.units -= sold;
+      if (campaign.units <= QUANTITY_EPSILON) {
+        campaign.units = 0;
+        campaign.shareCost = 0;
+        campaign.calledAway = true;
+      }
+    });
+
+    if (campaign.calledAway) {
+      campaigns.push(campaign);
+      running.delete(asset);
+    }
+  });
+  campaigns.push(...running.values());
+
+  return campaigns
+    .map(campaign => summarizeCampaign(campaign, today))
+    .sort((a, b) => new Date(b.strategies[0].open_date) - new Date(a.strategies[0].open_date));
+};